@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/*!
+ * sequerizer
+ * Copyright(c) 2024 Wildan M Zaki
+ * ISC Licensed
+ */
+
+const { run } = require("../lib/cli");
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -1,11 +1,5 @@
-const { Sequelize, DataTypes } = require("sequelize");
-
-const sequelize = new Sequelize("sequerizer", "root", "", {
-  host: "127.0.0.1",
-  port: "3306",
-  dialect: "mysql",
-  logging: false,
-});
+const { DataTypes } = require("sequelize");
+const { useHarness } = require("./testing");
 
 const blueprints = {
   users: [
@@ -48,34 +42,44 @@ const blueprints = {
       updatedAt: "updated_at",
     },
   ],
+  posts: [
+    "posts",
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      published: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    },
+    {
+      tableName: "posts",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      paranoid: true,
+      deletedAt: "deleted_at",
+    },
+  ],
 };
 
-function connectDatabase({ log = true } = {}) {
-  sequelize
-    .authenticate()
-    .then(() => {
-      if (log) {
-        const info = `[DB] Connection to database has been established successfully`;
-        console.info(info);
-      }
-    })
-    .catch((error) => {
-      if (log) {
-        const err = `[DB] Unable connect to database: ${error}`;
-        console.error(err);
-      }
-      process.exit(1);
-    });
-}
-
-// Connect to the database before running tests
-beforeAll(async () => {
-  await connectDatabase({ log: false });
-});
-
-// Close the database connection after running tests
-afterAll(async () => {
-  await sequelize.close();
-});
+// SQLite in memory unless SEQUERIZER_TEST_DIALECT or SEQUERIZER_TEST_URL
+// points to another database, see lib/testing/connection.js. Connects and
+// creates the tables before the tests, closes the connection after them.
+const harness = useHarness({ blueprints });
+const { sequelize } = harness;
 
-module.exports = { sequelize, blueprints };
+module.exports = { sequelize, blueprints, harness };
@@ -0,0 +1,2172 @@
+const {
+  Op,
+  QueryTypes,
+  col,
+  fn,
+  literal,
+  where: compare,
+} = require("sequelize");
+const { mustBe } = require("./utils/arguments.js");
+const { operatorFor, compileWheres } = require("./utils/conditions.js");
+const { encodeCursor, decodeCursor } = require("./utils/cursor.js");
+const {
+  resolveRelationPath,
+  relationSubquery,
+} = require("./utils/relations.js");
+const ModelError = require("./errors/ModelError.js");
+const CreateError = require("./errors/CreateError.js");
+const ReadError = require("./errors/ReadError.js");
+const NotFoundError = require("./errors/NotFoundError.js");
+const UpdateError = require("./errors/UpdateError.js");
+const DeleteError = require("./errors/DeleteError.js");
+const ValidationError = require("./errors/ValidationError.js");
+const { currentTransaction } = require("./utils/transaction.js");
+const { runHooks } = require("./utils/hooks.js");
+const { uniqueKeys, isUniqueKey } = require("./utils/unique.js");
+const { findAllSql } = require("./utils/sql.js");
+const { loggingOptions } = require("./utils/queryLog.js");
+const { sequerizerOf } = require("./utils/models.js");
+const { validateRules, unfillable } = require("./utils/rules.js");
+const {
+  defaults: cacheDefaults,
+  hashOptions,
+  tagVersion,
+  flushTag,
+  watchTag,
+  storesReading,
+  dehydrate,
+  hydrate,
+} = require("./utils/cache.js");
+
+// Builder for an associated model aliased as the association, through its
+// registered Sequerizer so its scopes apply. Sequerizer is required lazily
+// since it requires this module.
+const relatedQuery = (model, alias) => {
+  const { Sequerizer } = require("./Sequerizer.js");
+  const sequerizer = sequerizerOf(model) || new Sequerizer(model);
+  return sequerizer.query({ alias });
+};
+
+const aggregateFunctions = ["count", "sum", "avg", "min", "max"];
+
+// Drivers return DECIMAL and BIGINT aggregates as strings
+const toNumber = (value) => {
+  if (typeof value != "string" || value.trim() === "") return value;
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+};
+
+// (column, value), (column, operator, value) or an object of conditions
+const mustBeHaving = (args, method) => {
+  const [columnOrConditions, operator] = args;
+  mustBe(
+    columnOrConditions,
+    "string|plainObject",
+    method,
+    "columnOrConditions"
+  );
+  if (typeof columnOrConditions == "string" && args.length > 2)
+    mustBe(operator, "string", method, "operator");
+};
+
+// Models read by the relation existence filters of where entries, they tag
+// the cached reads
+const existenceTags = (wheres) => wheres.flatMap(({ tags = [] }) => tags);
+
+// Every non empty group of where entries as one entry, ANDed together so an
+// orWhere of a group can't leak into the others: (a OR b) AND (c)
+const groupWheres = (...groups) => {
+  return groups
+    .filter((group) => group.length > 0)
+    .map((group) => ({
+      boolean: "and",
+      condition: compileWheres(group),
+      tags: existenceTags(group),
+    }));
+};
+
+// hidden, visible and appends of config applied to the plain data of a row of
+// model, the rows of its eager loaded relations get the ones of their own
+// model's Sequerizer
+const shapeRow = (config, model, data, include) => {
+  if (data === null || typeof data != "object") return data;
+  const { hidden = [], visible = [], appends = {} } = config;
+
+  const nested = { ...data };
+  include.forEach((child) => {
+    const association = model.associations[child.association];
+    if (!association || !nested.hasOwnProperty(association.as)) return;
+    const shape = (value) =>
+      shapeRow(
+        sequerizerOf(association.target) || {},
+        association.target,
+        value,
+        child.include || []
+      );
+    const value = nested[association.as];
+    nested[association.as] = Array.isArray(value)
+      ? value.map(shape)
+      : shape(value);
+  });
+
+  // appends see every attribute, hidden ones included
+  const appended = {};
+  Object.entries(appends).forEach(([name, append]) => {
+    appended[name] = append(data);
+  });
+  let presented = nested;
+  if (visible.length > 0)
+    presented = Object.fromEntries(
+      visible.filter((key) => key in nested).map((key) => [key, nested[key]])
+    );
+  hidden.forEach((key) => delete presented[key]);
+  return Object.assign(presented, appended);
+};
+
+// Accepts names ("posts", "posts.comments"), arrays of names and objects of
+// { name: (query) => query } constraints
+const normalizeRelations = (relations, method) => {
+  const normalized = [];
+  relations.flat().forEach((relation) => {
+    if (typeof relation == "string") {
+      normalized.push({ path: relation, constraint: null });
+    } else if (typeof relation == "object" && relation !== null) {
+      Object.entries(relation).forEach(([path, constraint]) => {
+        if (constraint !== null && typeof constraint != "function")
+          throw new ModelError(
+            `constraint of ${path} in ${method} method must be a function`
+          );
+        normalized.push({ path, constraint });
+      });
+    } else {
+      throw new ModelError(
+        `relations in ${method} method must be names or an object of constraints`
+      );
+    }
+  });
+  return normalized;
+};
+
+// Run a relation constraint against a builder of the related model
+const constrain = (constraint, association) => {
+  const constrained = constraint(
+    relatedQuery(association.target, association.as)
+  );
+  if (!(constrained instanceof QueryBuilder))
+    throw new ModelError("Relation constraint must return the query builder");
+  return constrained;
+};
+
+// Every chain method returns a new builder, so a builder can be reused as a
+// base query and never leaks its state into another query.
+class QueryBuilder {
+  constructor(sequerizer, state = {}) {
+    this.sequerizer = sequerizer;
+    this.table = sequerizer.table;
+    this.identifier = sequerizer.identifier;
+    // table alias used by correlated relation subqueries
+    this.alias = state.alias || sequerizer.table.name;
+
+    this.wheres = state.wheres || [];
+    this.orders = state.orders || [];
+    this.attributes = state.attributes || [];
+    this.options = state.options || {};
+    this.throwError = state.throwError || false;
+    this.limitValue = state.limitValue ?? null;
+    this.offsetValue = state.offsetValue ?? null;
+    this.groups = state.groups || [];
+    this.eagerLoads = state.eagerLoads || [];
+    this.counts = state.counts || [];
+    // { alias: [fn, column] } selected by selectAggregate
+    this.aggregates = state.aggregates || {};
+    this.havings = state.havings || [];
+    // undefined joins the running Sequerizer.transaction, null opts out
+    this.transaction = state.transaction;
+    // soft deleted rows: "without", "with" or "only"
+    this.trashed = state.trashed || "without";
+    this.removedScopes = state.removedScopes || [];
+    this.scopesApplied = state.scopesApplied || false;
+    // plain objects instead of model instances, see present()
+    this.plain = state.plain || false;
+    this.transformer = state.transformer || null;
+    // seconds the reads are cached for, null reads the database
+    this.cacheTtl = state.cacheTtl ?? null;
+    this.cacheKey = state.cacheKey ?? null;
+
+    // registered scopes become chain methods
+    Object.keys(sequerizer.scopes || {}).forEach((name) => {
+      this[name] = (...args) => this.scope(name, ...args);
+    });
+  }
+
+  clone = (changes = {}) => {
+    return new QueryBuilder(this.sequerizer, {
+      alias: this.alias,
+      wheres: [...this.wheres],
+      orders: [...this.orders],
+      attributes: [...this.attributes],
+      options: { ...this.options },
+      throwError: this.throwError,
+      limitValue: this.limitValue,
+      offsetValue: this.offsetValue,
+      groups: [...this.groups],
+      eagerLoads: [...this.eagerLoads],
+      counts: [...this.counts],
+      aggregates: { ...this.aggregates },
+      havings: [...this.havings],
+      transaction: this.transaction,
+      trashed: this.trashed,
+      removedScopes: [...this.removedScopes],
+      scopesApplied: this.scopesApplied,
+      plain: this.plain,
+      transformer: this.transformer,
+      cacheTtl: this.cacheTtl,
+      cacheKey: this.cacheKey,
+      ...changes,
+    });
+  };
+
+  // Middleware utilities
+  verifySync = (callback) => {
+    mustBe(callback, "function", "verifySync", "callback");
+    // this is refered to the query builder itself
+    const verified = callback(this);
+    mustBe(verified, "boolean", "verifySync", "the callback result");
+
+    if (!verified) throw new ModelError("Unverified state occured");
+    return this;
+  };
+
+  verify = async (callback) => {
+    mustBe(callback, "function", "verify", "callback");
+    // this is refered to the query builder itself
+    const verified = await callback(this);
+    mustBe(verified, "boolean", "verify", "the callback result");
+    if (!verified) {
+      throw new ModelError("Unverified state occured");
+    }
+    return this;
+  };
+
+  // Options builder utilites
+  // Accepts (column, value), (column, operator, value), an object of
+  // conditions or a callback receiving a new builder for grouped conditions
+  pushWhere = (boolean, args) => {
+    const [columnOrConditions, operator, value] = args;
+    let condition;
+    let tags = [];
+    if (typeof columnOrConditions == "function") {
+      const nested = columnOrConditions(this.sequerizer.query());
+      if (!(nested instanceof QueryBuilder))
+        throw new ModelError("where callback must return the query builder");
+      if (nested.wheres.length === 0) return this.clone();
+      condition = compileWheres(nested.wheres);
+      tags = existenceTags(nested.wheres);
+    } else if (typeof columnOrConditions == "string") {
+      condition =
+        args.length > 2
+          ? { [columnOrConditions]: { [operatorFor(operator)]: value } }
+          : { [columnOrConditions]: operator };
+    } else {
+      mustBe(
+        columnOrConditions,
+        "plainObject",
+        boolean === "and" ? "where" : "orWhere",
+        "columnOrConditions"
+      );
+      condition = { ...columnOrConditions };
+    }
+    return this.clone({
+      wheres: [...this.wheres, { boolean, condition, tags }],
+    });
+  };
+
+  where = (...args) => this.pushWhere("and", args);
+
+  orWhere = (...args) => this.pushWhere("or", args);
+
+  whereNot = (columnOrConditions, value) => {
+    mustBe(
+      columnOrConditions,
+      "string|function|plainObject",
+      "whereNot",
+      "columnOrConditions"
+    );
+    if (typeof columnOrConditions == "string") {
+      return this.where(columnOrConditions, "!=", value);
+    }
+    const negated = this.sequerizer.query().where(columnOrConditions);
+    if (negated.wheres.length === 0) return this.clone();
+    const condition = { [Op.not]: compileWheres(negated.wheres) };
+    const tags = existenceTags(negated.wheres);
+    return this.clone({
+      wheres: [...this.wheres, { boolean: "and", condition, tags }],
+    });
+  };
+
+  whereIn = (column, values) => {
+    mustBe(column, "string", "whereIn", "column");
+    mustBe(values, "array", "whereIn", "values");
+    return this.where(column, "in", values);
+  };
+
+  whereNotIn = (column, values) => {
+    mustBe(column, "string", "whereNotIn", "column");
+    mustBe(values, "array", "whereNotIn", "values");
+    return this.where(column, "not in", values);
+  };
+
+  whereNull = (column) => {
+    mustBe(column, "string", "whereNull", "column");
+    return this.where(column, "is", null);
+  };
+
+  whereNotNull = (column) => {
+    mustBe(column, "string", "whereNotNull", "column");
+    return this.where(column, "is not", null);
+  };
+
+  // range is [min, max]
+  mustBeRange = (range, method) => {
+    mustBe(range, "array", method, "range");
+    if (range.length !== 2)
+      throw new ModelError(
+        `${method} expects range to be [min, max], got ${range.length} values`,
+        { code: "INVALID_ARGUMENT", operation: method }
+      );
+  };
+
+  whereBetween = (column, range) => {
+    mustBe(column, "string", "whereBetween", "column");
+    this.mustBeRange(range, "whereBetween");
+    return this.where(column, "between", range);
+  };
+
+  whereNotBetween = (column, range) => {
+    mustBe(column, "string", "whereNotBetween", "column");
+    this.mustBeRange(range, "whereNotBetween");
+    return this.where(column, "not between", range);
+  };
+
+  whereLike = (column, pattern) => {
+    mustBe(column, "string", "whereLike", "column");
+    mustBe(pattern, "string", "whereLike", "pattern");
+    return this.where(column, "like", pattern);
+  };
+
+  groupWith = (columns) => {
+    mustBe(columns, "array", "groupWith", "columns");
+    return this.clone({ groups: [...columns] });
+  };
+
+  groupBy = (column) => {
+    mustBe(column, "string", "groupBy", "column");
+    if (this.groups.includes(column)) return this.clone();
+    return this.clone({ groups: [...this.groups, column] });
+  };
+
+  // Aggregated queries select the grouped columns (or needColumns) plus the
+  // aggregates and fetch plain objects: { total: ["sum", "amount"] }
+  selectAggregate = (aggregates) => {
+    mustBe(aggregates, "plainObject", "selectAggregate", "aggregates");
+    Object.entries(aggregates).forEach(([alias, aggregate]) => {
+      if (
+        !Array.isArray(aggregate) ||
+        aggregate.length !== 2 ||
+        !aggregateFunctions.includes(aggregate[0]) ||
+        typeof aggregate[1] != "string"
+      )
+        throw new ModelError(
+          `Aggregate ${alias} must be [function, column], functions: ${aggregateFunctions.join(
+            ", "
+          )}`
+        );
+    });
+    return this.clone({ aggregates: { ...this.aggregates, ...aggregates } });
+  };
+
+  // Same arguments as where, a column naming an aggregate of selectAggregate
+  // compares the aggregate expression itself
+  having = (...args) => {
+    mustBeHaving(args, "having");
+    return this.clone({
+      havings: [...this.havings, { boolean: "and", args }],
+    });
+  };
+
+  orHaving = (...args) => {
+    mustBeHaving(args, "orHaving");
+    return this.clone({ havings: [...this.havings, { boolean: "or", args }] });
+  };
+
+  orderBy = (column, direction = "ASC") => {
+    mustBe(column, "string|object", "orderBy", "column");
+    mustBe(direction, "string", "orderBy", "direction");
+    if (!["ASC", "DESC"].includes(direction.toUpperCase()))
+      throw new ModelError("Order available: ASC or DESC");
+    return this.clone({
+      orders: [...this.orders, [column, direction.toUpperCase()]],
+    });
+  };
+
+  // setting orders hardly
+  setOrders = (orders) => {
+    mustBe(orders, "array", "setOrders", "orders");
+    return this.clone({ orders: [...orders] });
+  };
+
+  needColumns = (columns) => {
+    mustBe(columns, "array", "needColumns", "columns");
+    return this.clone({ attributes: [...columns] });
+  };
+
+  limit = (limitValue) => {
+    mustBe(limitValue, "nonNegativeInteger", "limit", "limitValue");
+    return this.clone({ limitValue });
+  };
+
+  offset = (offset) => {
+    mustBe(offset, "nonNegativeInteger", "offset", "offset");
+    return this.clone({ offsetValue: offset });
+  };
+
+  // Relationship existence, compiled to EXISTS or COUNT subqueries. Returns
+  // the condition and the models it reads.
+  relationExistence = (relation, callback, operator, count) => {
+    mustBe(count, "nonNegativeInteger", "whereHas", "count");
+    resolveRelationPath(this.table, relation);
+
+    const [name, ...nested] = relation.split(".");
+    const association = this.table.associations[name];
+    const exists = operator === ">=" && count === 1;
+    const missing = operator === "<" && count === 1;
+
+    let related = relatedQuery(association.target, association.as);
+    if (nested.length > 0) {
+      // users having posts that have comments matching the callback, a
+      // missing nested relation negates the outer EXISTS like Laravel does
+      related = missing
+        ? related.whereHas(nested.join("."), callback)
+        : related.whereHas(nested.join("."), callback, operator, count);
+    } else if (callback !== null) {
+      related = constrain(callback, association);
+    }
+    const where = related.compiledWhere(true);
+    const tags = [
+      association.target.name,
+      ...existenceTags(related.withGlobalScopes().wheres),
+    ];
+
+    if (nested.length > 0 || exists || missing) {
+      const subquery = relationSubquery(association, this.alias, {
+        attributes: [literal("1")],
+        where,
+      });
+      const keyword = missing ? "NOT EXISTS" : "EXISTS";
+      return {
+        condition: { [Op.and]: [literal(`${keyword} (${subquery})`)] },
+        tags,
+      };
+    }
+
+    const subquery = relationSubquery(association, this.alias, {
+      attributes: [literal("COUNT(*)")],
+      where,
+    });
+    return {
+      condition: {
+        [Op.and]: [
+          compare(literal(`(${subquery})`), {
+            [operatorFor(operator)]: count,
+          }),
+        ],
+      },
+      tags,
+    };
+  };
+
+  whereHas = (relation, callback = null, operator = ">=", count = 1) => {
+    mustBe(relation, "string", "whereHas", "relation");
+    mustBe(callback, "?function", "whereHas", "callback");
+    const { condition, tags } = this.relationExistence(
+      relation,
+      callback,
+      operator,
+      count
+    );
+    return this.clone({
+      wheres: [...this.wheres, { boolean: "and", condition, tags }],
+    });
+  };
+
+  has = (relation, operator = ">=", count = 1) => {
+    return this.whereHas(relation, null, operator, count);
+  };
+
+  doesntHave = (relation, callback = null) => {
+    return this.whereHas(relation, callback, "<", 1);
+  };
+
+  // Eager loading
+  with = (...relations) => {
+    const loads = normalizeRelations(relations, "with");
+    loads.forEach(({ path }) => resolveRelationPath(this.table, path));
+    const kept = this.eagerLoads.filter(
+      (load) => !loads.some(({ path }) => path === load.path)
+    );
+    return this.clone({ eagerLoads: [...kept, ...loads] });
+  };
+
+  // "posts" is counted as posts_count, "posts as total" as total
+  withCount = (...relations) => {
+    const counts = normalizeRelations(relations, "withCount").map(
+      ({ path, constraint }) => {
+        const [relation, alias = `${relation}_count`] = path.split(/\s+as\s+/i);
+        if (relation.includes("."))
+          throw new ModelError(
+            "withCount method doesn't support nested relations"
+          );
+        resolveRelationPath(this.table, relation);
+        return { relation, alias, constraint };
+      }
+    );
+    const kept = this.counts.filter(
+      (count) => !counts.some(({ alias }) => alias === count.alias)
+    );
+    return this.clone({ counts: [...kept, ...counts] });
+  };
+
+  buildIncludes = () => {
+    // merge the loaded paths into a tree of relations
+    const tree = new Map();
+    this.eagerLoads.forEach(({ path, constraint }) => {
+      let level = tree;
+      let model = this.table;
+      const names = path.split(".");
+      names.forEach((name, index) => {
+        const association = model.associations[name];
+        if (!level.has(name)) {
+          level.set(name, {
+            association,
+            constraint: null,
+            children: new Map(),
+          });
+        }
+        const node = level.get(name);
+        if (index === names.length - 1) node.constraint = constraint;
+        level = node.children;
+        model = association.target;
+      });
+    });
+
+    const toInclude = (name, node) => {
+      const include = { association: name };
+      if (node.constraint !== null) {
+        const built = constrain(
+          node.constraint,
+          node.association
+        ).buildOptions();
+        delete built.group;
+        if (Reflect.ownKeys(built.where).length === 0) delete built.where;
+        // a constrained relation filters the related rows, not the parents
+        Object.assign(include, { required: false }, built);
+      } else {
+        // global scopes of the related model
+        const where = relatedQuery(
+          node.association.target,
+          node.association.as
+        ).compiledWhere();
+        if (Reflect.ownKeys(where).length > 0)
+          Object.assign(include, { required: false, where });
+      }
+      const children = [...node.children].map(([childName, child]) =>
+        toInclude(childName, child)
+      );
+      if (children.length > 0) {
+        include.include = [...(include.include || []), ...children];
+      }
+      return include;
+    };
+
+    return [...tree].map(([name, node]) => toInclude(name, node));
+  };
+
+  buildCounts = () => {
+    return this.counts.map(({ relation, alias, constraint }) => {
+      const association = this.table.associations[relation];
+      const where =
+        constraint !== null
+          ? constrain(constraint, association).compiledWhere(true)
+          : relatedQuery(association.target, association.as).compiledWhere(
+              true
+            );
+      const subquery = relationSubquery(association, this.alias, {
+        attributes: [literal("COUNT(*)")],
+        where,
+      });
+      return [literal(`(${subquery})`), alias];
+    });
+  };
+
+  // Aggregates
+  aggregateExpression = (name, column) => {
+    if (column === "*") return fn(name, literal("*"));
+    const attribute = this.table.rawAttributes[column];
+    return fn(name, col(attribute ? attribute.field : column));
+  };
+
+  buildAggregates = () => {
+    return Object.entries(this.aggregates).map(([alias, [name, column]]) => [
+      this.aggregateExpression(name, column),
+      alias,
+    ]);
+  };
+
+  havingCondition = (args) => {
+    const [columnOrConditions, operator, value] = args;
+    if (typeof columnOrConditions == "object" && columnOrConditions !== null)
+      return { ...columnOrConditions };
+    if (typeof columnOrConditions != "string")
+      throw new ModelError("having method expects a column or conditions");
+
+    const comparison =
+      args.length > 2
+        ? { [operatorFor(operator)]: value }
+        : { [Op.eq]: operator };
+    if (!this.aggregates.hasOwnProperty(columnOrConditions))
+      return { [columnOrConditions]: comparison };
+    const [name, column] = this.aggregates[columnOrConditions];
+    return {
+      [Op.and]: [compare(this.aggregateExpression(name, column), comparison)],
+    };
+  };
+
+  compiledHaving = () => {
+    return compileWheres(
+      this.havings.map(({ boolean, args }) => ({
+        boolean,
+        condition: this.havingCondition(args),
+      }))
+    );
+  };
+
+  castAggregates = (row) => {
+    const cast = { ...row };
+    Object.entries(this.aggregates).forEach(([alias, [name]]) => {
+      if (name !== "min" && name !== "max") cast[alias] = toNumber(cast[alias]);
+    });
+    return cast;
+  };
+
+  // Scopes
+  scope = (name, ...args) => {
+    mustBe(name, "string", "scope", "name");
+    const scopes = this.sequerizer.scopes || {};
+    if (!scopes.hasOwnProperty(name))
+      throw new ModelError(
+        `Scope ${name} is not defined on ${this.identifier}`
+      );
+    const scoped = scopes[name](this, ...args);
+    if (!(scoped instanceof QueryBuilder))
+      throw new ModelError(`Scope ${name} must return the query builder`);
+    return scoped;
+  };
+
+  withoutGlobalScope = (name) => {
+    mustBe(name, "string", "withoutGlobalScope", "name");
+    const globalScopes = this.sequerizer.globalScopes || {};
+    if (!globalScopes.hasOwnProperty(name))
+      throw new ModelError(
+        `Global scope ${name} is not defined on ${this.identifier}`
+      );
+    if (this.removedScopes.includes(name)) return this.clone();
+    return this.clone({ removedScopes: [...this.removedScopes, name] });
+  };
+
+  // Without names every global scope is removed
+  withoutGlobalScopes = (names = null) => {
+    mustBe(names, "?array", "withoutGlobalScopes", "names");
+    if (names === null) {
+      return this.clone({
+        removedScopes: Object.keys(this.sequerizer.globalScopes || {}),
+      });
+    }
+    return names.reduce((query, name) => query.withoutGlobalScope(name), this);
+  };
+
+  // Global scopes are applied when the query is built so withoutGlobalScope
+  // works anywhere in the chain. Their conditions are grouped apart from the
+  // query conditions: (a OR b) AND (scopes)
+  withGlobalScopes = () => {
+    if (this.scopesApplied) return this;
+    const names = Object.keys(this.sequerizer.globalScopes || {}).filter(
+      (name) => !this.removedScopes.includes(name)
+    );
+    if (names.length === 0) return this;
+
+    const scoped = names.reduce((query, name) => {
+      const result = this.sequerizer.globalScopes[name](query);
+      if (!(result instanceof QueryBuilder))
+        throw new ModelError(
+          `Global scope ${name} must return the query builder`
+        );
+      return result;
+    }, this.clone({ wheres: [], scopesApplied: true }));
+
+    return scoped.clone({ wheres: groupWheres(this.wheres, scoped.wheres) });
+  };
+
+  // Internal conditions (primary key, keyset) take the where arguments and
+  // are ANDed with the query conditions as a whole
+  groupedWhere = (...args) => {
+    const { wheres } = this.clone({ wheres: [] }).where(...args);
+    return this.clone({ wheres: groupWheres(this.wheres, wheres) });
+  };
+
+  // Soft deletes
+  isParanoid = () => {
+    return Boolean(
+      this.table.options.paranoid && this.table._timestampAttributes.deletedAt
+    );
+  };
+
+  mustBeParanoid = (method) => {
+    if (!this.isParanoid())
+      throw new ModelError(
+        `${method} method needs a paranoid model, ${this.identifier} is not`
+      );
+  };
+
+  withTrashed = () => {
+    this.mustBeParanoid("withTrashed");
+    return this.clone({ trashed: "with" });
+  };
+
+  onlyTrashed = () => {
+    this.mustBeParanoid("onlyTrashed");
+    return this.clone({ trashed: "only" });
+  };
+
+  // standalone is for raw subqueries where Sequelize doesn't add the paranoid
+  // clause by itself
+  compiledWhere = (standalone = false) => {
+    const scoped = this.withGlobalScopes();
+    if (scoped !== this) return scoped.compiledWhere(standalone);
+
+    const where = compileWheres(this.wheres);
+    if (!this.isParanoid()) return where;
+
+    const deletedAt = this.table._timestampAttributes.deletedAt;
+    let trashed = null;
+    if (this.trashed === "only") {
+      trashed = { [deletedAt]: { [Op.ne]: null } };
+    } else if (this.trashed === "without" && standalone) {
+      trashed = { [deletedAt]: null };
+    }
+    if (trashed === null) return where;
+    if (Reflect.ownKeys(where).length === 0) return trashed;
+    return { [Op.and]: [where, trashed] };
+  };
+
+  // Returns a fresh options object, the builder state is left untouched
+  buildOptions = () => {
+    const scoped = this.withGlobalScopes();
+    if (scoped !== this) return scoped.buildOptions();
+
+    const options = { ...this.options };
+    if (!options.hasOwnProperty("where")) {
+      options.where = this.compiledWhere();
+    }
+    const aggregates = this.buildAggregates();
+    if (!options.hasOwnProperty("attributes")) {
+      const columns =
+        this.attributes.length === 0 && aggregates.length > 0
+          ? this.groups
+          : this.attributes;
+      const counts = [...this.buildCounts(), ...aggregates];
+      if (columns.length > 0 || aggregates.length > 0) {
+        options.attributes = [...columns, ...counts];
+      } else if (counts.length > 0) {
+        options.attributes = { include: counts };
+      }
+    }
+    if (this.eagerLoads.length > 0 && !options.hasOwnProperty("include")) {
+      options.include = this.buildIncludes();
+    }
+    if (this.orders.length > 0 && !options.hasOwnProperty("order")) {
+      options.order = [...this.orders];
+    }
+    if (this.limitValue !== null && !options.hasOwnProperty("limit")) {
+      options.limit = this.limitValue;
+    }
+    if (this.offsetValue !== null && !options.hasOwnProperty("offset")) {
+      options.offset = this.offsetValue;
+    }
+    if (this.groups.length > 0 && !options.hasOwnProperty("group")) {
+      options.group = [...this.groups];
+    }
+    if (this.havings.length > 0 && !options.hasOwnProperty("having")) {
+      options.having = this.compiledHaving();
+    }
+    if (aggregates.length > 0 && !options.hasOwnProperty("raw")) {
+      options.raw = true;
+    }
+    if (!options.hasOwnProperty("transaction")) {
+      Object.assign(options, this.transactionOptions());
+    }
+    if (!options.hasOwnProperty("logging")) {
+      Object.assign(options, loggingOptions(this.sequerizer));
+    }
+    if (!options.hasOwnProperty("paranoid")) {
+      Object.assign(options, this.trashedOptions());
+    }
+    return options;
+  };
+
+  option = (keyOrOptions, value) => {
+    mustBe(keyOrOptions, "string|plainObject", "option", "keyOrOptions");
+    const options = { ...this.options };
+    if (typeof keyOrOptions === "string") {
+      options[keyOrOptions] = value;
+    } else if (typeof keyOrOptions === "object") {
+      Object.assign(options, keyOrOptions);
+    }
+    return this.clone({ options });
+  };
+
+  // Output
+  asPlain = (value = true) => {
+    mustBe(value, "boolean", "asPlain", "value");
+    return this.clone({ plain: value });
+  };
+
+  raw = () => this.asPlain();
+
+  // transformer is a function of the plain row or a resource class
+  // constructed with it, its toJSON() is returned when defined
+  transform = (transformer) => {
+    mustBe(transformer, "function", "transform", "transformer");
+    return this.clone({ plain: true, transformer });
+  };
+
+  presentRow = (row, include = []) => {
+    if (row === null || row === undefined) return row;
+    const data =
+      typeof row.get == "function" ? row.get({ plain: true }) : { ...row };
+    const presented = shapeRow(this.sequerizer, this.table, data, include);
+
+    if (this.transformer === null) return presented;
+    if (/^class\b/.test(Function.prototype.toString.call(this.transformer))) {
+      const resource = new this.transformer(presented);
+      return typeof resource.toJSON == "function"
+        ? resource.toJSON()
+        : resource;
+    }
+    return this.transformer(presented);
+  };
+
+  // Instances keep the model API, their toJSON() (JSON.stringify, res.json)
+  // is shaped like asPlain()
+  serializable = (rows) => {
+    rows.forEach((row) => {
+      if (!row || typeof row.get != "function") return;
+      Object.defineProperty(row, "toJSON", {
+        value: () => {
+          const include =
+            this.eagerLoads.length > 0 ? this.buildIncludes() : [];
+          return shapeRow(
+            this.sequerizer,
+            this.table,
+            row.get({ plain: true }),
+            include
+          );
+        },
+        configurable: true,
+        writable: true,
+      });
+    });
+    return rows;
+  };
+
+  present = (rows) => {
+    if (!this.plain) return this.serializable(rows);
+    const include = this.eagerLoads.length > 0 ? this.buildIncludes() : [];
+    return rows.map((row) => this.presentRow(row, include));
+  };
+
+  withError = (value = true) => {
+    mustBe(value, "boolean", "withError", "value");
+    return this.clone({ throwError: value });
+  };
+
+  // Run every query of this builder inside the given transaction
+  using = (transaction) => {
+    mustBe(transaction, "?object", "using", "transaction");
+    return this.clone({ transaction });
+  };
+
+  transactionOptions = () => {
+    const transaction =
+      this.transaction === undefined
+        ? currentTransaction(this.table.sequelize)
+        : this.transaction;
+    return transaction ? { transaction } : {};
+  };
+
+  // Options shared by every query the builder runs
+  queryOptions = () => {
+    return { ...this.transactionOptions(), ...loggingOptions(this.sequerizer) };
+  };
+
+  // withTrashed and onlyTrashed handle deleted rows in the where, Sequelize
+  // must not add its own deleted_at IS NULL
+  trashedOptions = () => {
+    return this.trashed !== "without" ? { paranoid: false } : {};
+  };
+
+  // Debugging, the final findAll options and SQL of get() without running it
+  toOptions = () => this.buildOptions();
+
+  toSQL = () => {
+    try {
+      return findAllSql(this.table, this.buildOptions());
+    } catch (error) {
+      throw new ReadError(
+        "Error in toSQL method: " + error.message,
+        this.errorContext("toSQL", error)
+      );
+    }
+  };
+
+  // Query plan of get() as returned by the database
+  explain = async () => {
+    const sql = this.toSQL();
+    const statement =
+      this.table.sequelize.getDialect() === "sqlite"
+        ? "EXPLAIN QUERY PLAN"
+        : "EXPLAIN";
+    try {
+      return await this.table.sequelize.query(`${statement} ${sql}`, {
+        type: QueryTypes.SELECT,
+        ...this.queryOptions(),
+      });
+    } catch (error) {
+      throw new ReadError(
+        "Error in explain method: " + error.message,
+        this.errorContext("explain", error)
+      );
+    }
+  };
+
+  // Cache, reads of get, getWhere, first, find, count and exists are kept for
+  // ttl seconds under key or a hash of the built options
+  remember = (ttl, key = null) => {
+    mustBe(ttl, "nonNegative", "remember", "ttl");
+    mustBe(key, "?string", "remember", "key");
+    if (this.cacheStore() === null)
+      throw new ModelError(
+        `remember needs a cache store, give ${this.identifier} a cache option or call Sequerizer.useCache`
+      );
+    return this.clone({ cacheTtl: ttl, cacheKey: key });
+  };
+
+  cacheStore = () => this.sequerizer.cacheStore || cacheDefaults.store;
+
+  // Writes of the model, of the eager loaded or counted models and of the
+  // models of relation existence filters invalidate the reads
+  cacheTags = () => {
+    const tags = [
+      this.identifier,
+      ...existenceTags(this.withGlobalScopes().wheres),
+    ];
+    this.eagerLoads.forEach(({ path }) => {
+      resolveRelationPath(this.table, path).forEach((association) => {
+        tags.push(association.target.name);
+      });
+    });
+    this.counts.forEach(({ relation }) => {
+      tags.push(this.table.associations[relation].target.name);
+    });
+    return [...new Set(tags)];
+  };
+
+  // Reads inside a transaction may see uncommitted rows, they skip the cache
+  // like remember(0) does
+  cached = async (operation, options, fetch) => {
+    const store = this.cacheStore();
+    if (
+      this.cacheTtl === null ||
+      this.cacheTtl === 0 ||
+      store === null ||
+      options.transaction
+    )
+      return fetch();
+
+    const versions = [];
+    for (const tag of this.cacheTags()) {
+      watchTag(store, tag);
+      versions.push(await tagVersion(store, tag));
+    }
+    const key = `sequerizer:${this.identifier}:${operation}:${
+      this.cacheKey || hashOptions(options)
+    }:${versions.join(".")}`;
+
+    const hit = await store.get(key);
+    if (hit !== undefined && hit !== null)
+      return hydrate(this.table, JSON.parse(hit), options);
+    const result = await fetch();
+    await store.set(key, JSON.stringify(dehydrate(result)), this.cacheTtl);
+    return result;
+  };
+
+  // Called after every write, again after the commit of a transaction so
+  // reads cached in between don't keep the rows from before it
+  flushCache = async () => {
+    const stores = new Set(storesReading(this.identifier));
+    if (this.cacheStore() !== null) stores.add(this.cacheStore());
+    if (stores.size === 0) return;
+    const flush = async () => {
+      for (const store of stores) {
+        await flushTag(store, this.identifier);
+      }
+    };
+    await flush();
+    // afterCommit of a savepoint runs when it is released, the rows are
+    // visible to other connections once the outermost transaction commits
+    let { transaction } = this.transactionOptions();
+    if (!transaction) return;
+    while (transaction.parent) transaction = transaction.parent;
+    transaction.afterCommit(flush);
+  };
+
+  // Context attached to the errors thrown by a query
+  errorContext = (operation, cause, options = null) => {
+    return { cause, identifier: this.identifier, operation, options };
+  };
+
+  // Lifecycle hooks, listeners are registered on the Sequerizer with on()
+  runHook = (event, operation, payload, extra = {}) => {
+    return runHooks(this.sequerizer.listeners || {}, event, payload, {
+      event,
+      operation,
+      identifier: this.identifier,
+      query: this,
+      ...extra,
+    });
+  };
+
+  // A listener returning false aborts the operation with its error class
+  beforeHook = async (event, operation, payload, ErrorClass, extra) => {
+    const result = await this.runHook(event, operation, payload, extra);
+    if (result === false)
+      throw new ErrorClass(
+        `${operation} on ${this.identifier} was aborted by a ${event} listener`,
+        {
+          code: "HOOK_ABORTED",
+          identifier: this.identifier,
+          operation,
+          details: [{ event }],
+        }
+      );
+    return result;
+  };
+
+  afterHook = async (event, operation, payload, extra) => {
+    await this.runHook(event, operation, payload, extra);
+  };
+
+  retrieve = async (rows, operation) => {
+    const listeners = (this.sequerizer.listeners || {}).retrieved || [];
+    if (listeners.length === 0) return rows;
+    for (const row of rows) {
+      if (row) await this.afterHook("retrieved", operation, row);
+    }
+    return rows;
+  };
+
+  beforeCreate = async (data, operation) => {
+    const payload = await this.beforeHook(
+      "saving",
+      operation,
+      { ...data },
+      CreateError
+    );
+    return this.beforeHook("creating", operation, payload, CreateError);
+  };
+
+  // Mass assignment guard, attributes that can't be mass assigned are stripped
+  // or rejected depending on the massAssignment option of the Sequerizer
+  fill = (data, operation) => {
+    const rejected = unfillable(this.sequerizer, data);
+    if (rejected.length === 0) return data;
+    if (this.sequerizer.massAssignment === "reject")
+      throw new ValidationError(
+        `${rejected.join(", ")} of ${this.identifier} can't be mass assigned`,
+        {
+          code: "MASS_ASSIGNMENT",
+          identifier: this.identifier,
+          operation,
+          details: rejected.map((field) => ({
+            field,
+            message: `${field} is not fillable`,
+            type: "fillable",
+          })),
+        }
+      );
+    return Object.fromEntries(
+      Object.entries(data).filter(([key]) => !rejected.includes(key))
+    );
+  };
+
+  // Rules of the Sequerizer checked right before writing rows, every failure
+  // of every row is collected. Fields of bulk rows are prefixed by the index.
+  validate = async (rows, operation, options = {}) => {
+    const {
+      bulk = false,
+      partial = false,
+      unique = true,
+      except = null,
+    } = options;
+    const rules = this.sequerizer.rules || {};
+    if (Object.keys(rules).length === 0) return;
+
+    const isUnique = async (field, value) => {
+      // every row is excepted, no other row can hold the value
+      if (except !== null && Reflect.ownKeys(except).length === 0) return true;
+      const where = { [field]: value };
+      if (except !== null) where[Op.not] = except;
+      try {
+        const count = await this.table.count({
+          where,
+          paranoid: false,
+          ...this.queryOptions(),
+        });
+        return count === 0;
+      } catch (error) {
+        throw new ReadError(
+          `Error checking unique ${field} of ${this.identifier}: ${error.message}`,
+          this.errorContext(operation, error)
+        );
+      }
+    };
+
+    const details = [];
+    for (const [index, row] of rows.entries()) {
+      const errors = await validateRules(rules, row, {
+        partial,
+        isUnique: unique ? isUnique : null,
+      });
+      errors.forEach((error) => {
+        details.push(
+          bulk ? { ...error, field: `${index}.${error.field}` } : error
+        );
+      });
+    }
+    if (details.length === 0) return;
+    throw new ValidationError(
+      `Validation failed for ${this.identifier}: ${details
+        .map((detail) => detail.message)
+        .join(", ")}`,
+      { identifier: this.identifier, operation, details }
+    );
+  };
+
+  // CRUD
+  create = async (data) => {
+    mustBe(data, "plainObject", "create", "data");
+    const payload = await this.beforeCreate(
+      this.fill(data, "create"),
+      "create"
+    );
+    await this.validate([payload], "create");
+
+    let newItem;
+    try {
+      newItem = await this.table.create(payload, this.queryOptions());
+    } catch (error) {
+      throw new CreateError(
+        `Error creating ${this.identifier}: ${error.message}`,
+        this.errorContext("create", error)
+      );
+    }
+    await this.flushCache();
+    await this.afterHook("created", "create", newItem);
+    return this.serializable([newItem])[0];
+  };
+
+  // Sequelize skips its own hooks on bulkCreate, Sequerizer hooks still run
+  // for every row
+  insert = async (data) => {
+    mustBe(data, "plainObject|array", "insert", "data");
+    const rows = [];
+    for (const row of Array.isArray(data) ? data : [data]) {
+      rows.push(await this.beforeCreate(this.fill(row, "insert"), "insert"));
+    }
+    await this.validate(rows, "insert", { bulk: Array.isArray(data) });
+
+    let newItem;
+    try {
+      if (Array.isArray(data)) {
+        newItem = await this.table.bulkCreate(rows, this.queryOptions());
+      } else {
+        newItem = await this.table.create(rows[0], this.queryOptions());
+      }
+    } catch (error) {
+      throw new CreateError(
+        `Error inserting into ${this.identifier}: ${error.message}`,
+        this.errorContext("insert", error)
+      );
+    }
+    await this.flushCache();
+    for (const item of Array.isArray(newItem) ? newItem : [newItem]) {
+      await this.afterHook("created", "insert", item);
+    }
+    this.serializable(Array.isArray(newItem) ? newItem : [newItem]);
+    return newItem;
+  };
+
+  get = async (columns = [], conditions = null) => {
+    mustBe(columns, "array", "get", "columns");
+    mustBe(conditions, "?plainObject", "get", "conditions");
+    let items;
+    let options = null;
+    try {
+      options = this.buildOptions();
+      if (conditions !== null) {
+        options.where = conditions;
+      }
+      if (columns.length > 0) {
+        options.attributes = columns;
+      }
+      items = await this.cached("get", options, () =>
+        this.table.findAll(options)
+      );
+    } catch (error) {
+      throw new ReadError(
+        "Fail fetching data: " + error.message,
+        this.errorContext("get", error, options)
+      );
+    }
+    if (Object.keys(this.aggregates).length > 0)
+      return this.present(items.map(this.castAggregates));
+    return this.present(await this.retrieve(items, "get"));
+  };
+
+  // Pagination
+  pageBounds = (page, perPage, method) => {
+    mustBe(page, "positiveInteger", method, "page");
+    mustBe(perPage, "positiveInteger", method, "perPage");
+    return { limit: perPage, offset: (page - 1) * perPage };
+  };
+
+  paginate = async (page = 1, perPage = 15) => {
+    const { limit, offset } = this.pageBounds(page, perPage, "paginate");
+    let result;
+    let options = null;
+    try {
+      options = this.buildOptions();
+      const countOptions = { ...options };
+      delete countOptions.attributes;
+      delete countOptions.order;
+      delete countOptions.limit;
+      delete countOptions.offset;
+      // joined rows of eager loaded relations must not be counted twice
+      if (countOptions.include) countOptions.distinct = true;
+
+      const [counted, data] = await Promise.all([
+        this.table.count(countOptions),
+        this.table.findAll({ ...options, limit, offset }),
+      ]);
+      // grouped count returns one row per group
+      const total = Array.isArray(counted) ? counted.length : counted;
+      const lastPage = Math.max(1, Math.ceil(total / perPage));
+
+      result = {
+        data,
+        total,
+        perPage,
+        currentPage: page,
+        lastPage,
+        from: data.length > 0 ? offset + 1 : null,
+        to: data.length > 0 ? offset + data.length : null,
+        hasMore: page < lastPage,
+      };
+    } catch (error) {
+      throw new ReadError(
+        "Error in paginate method: " + error.message,
+        this.errorContext("paginate", error, options)
+      );
+    }
+    await this.retrieve(result.data, "paginate");
+    return { ...result, data: this.present(result.data) };
+  };
+
+  // Skips the count query, fetches one extra row to know if there is more
+  simplePaginate = async (page = 1, perPage = 15) => {
+    const { limit, offset } = this.pageBounds(page, perPage, "simplePaginate");
+    let result;
+    let options = null;
+    try {
+      options = { ...this.buildOptions(), limit: limit + 1, offset };
+      const rows = await this.table.findAll(options);
+      const data = rows.slice(0, perPage);
+
+      result = {
+        data,
+        perPage,
+        currentPage: page,
+        from: data.length > 0 ? offset + 1 : null,
+        to: data.length > 0 ? offset + data.length : null,
+        hasMore: rows.length > perPage,
+      };
+    } catch (error) {
+      throw new ReadError(
+        "Error in simplePaginate method: " + error.message,
+        this.errorContext("simplePaginate", error, options)
+      );
+    }
+    await this.retrieve(result.data, "simplePaginate");
+    return { ...result, data: this.present(result.data) };
+  };
+
+  // Keyset pagination needs a deterministic order: plain non nullable columns
+  // followed by the primary key as tie-breaker
+  cursorOrders = () => {
+    if (this.options.hasOwnProperty("order"))
+      throw new ModelError(
+        "cursorPaginate method reads the order from orderBy, not from option"
+      );
+    if (this.table.primaryKeyAttributes.length === 0)
+      throw new ModelError(
+        `cursorPaginate method needs a primary key on ${this.identifier}`
+      );
+
+    const orders = this.orders.map((order) => {
+      const [column, direction = "ASC"] = Array.isArray(order)
+        ? order
+        : [order];
+      const attribute =
+        typeof column == "string" ? this.table.rawAttributes[column] : null;
+      if (!attribute)
+        throw new ModelError(
+          `cursorPaginate method can only order by columns of ${this.identifier}`
+        );
+      // primary keys are never null, declared allowNull or not
+      if (attribute.allowNull !== false && !attribute.primaryKey)
+        throw new ModelError(
+          `cursorPaginate method can't order by nullable column ${column}`
+        );
+      return [column, direction.toUpperCase()];
+    });
+
+    const direction = orders.length > 0 ? orders[orders.length - 1][1] : "ASC";
+    this.table.primaryKeyAttributes.forEach((key) => {
+      if (!orders.some(([column]) => column === key)) {
+        orders.push([key, direction]);
+      }
+    });
+    return orders;
+  };
+
+  // (a > x) OR (a = x AND b > y) OR ... for every ordered column
+  keysetCondition = (orders, values, reverse) => {
+    const branches = orders.map(([column, direction], index) => {
+      const condition = {};
+      orders.slice(0, index).forEach(([previous], position) => {
+        condition[previous] = values[position];
+      });
+      const ascending = (direction === "ASC") !== reverse;
+      condition[column] = { [ascending ? Op.gt : Op.lt]: values[index] };
+      return condition;
+    });
+    return { [Op.or]: branches };
+  };
+
+  cursorPaginate = async (pagination = {}) => {
+    mustBe(pagination, "plainObject", "cursorPaginate", "pagination");
+    const { perPage = 15, cursor = null } = pagination;
+    mustBe(perPage, "positiveInteger", "cursorPaginate", "perPage");
+    mustBe(cursor, "?string", "cursorPaginate", "cursor");
+
+    const orders = this.cursorOrders();
+    const decoded =
+      cursor === null ? null : decodeCursor(cursor, orders.length);
+    const reverse = decoded !== null && decoded.direction === "prev";
+
+    let query = this.clone({
+      orders: orders.map(([column, direction]) => [
+        column,
+        reverse ? (direction === "ASC" ? "DESC" : "ASC") : direction,
+      ]),
+    });
+    if (decoded !== null) {
+      const values = decoded.values.map((value, index) => {
+        const attribute = this.table.rawAttributes[orders[index][0]];
+        return attribute.type.key === "DATE" ? new Date(value) : value;
+      });
+      query = query.groupedWhere(this.keysetCondition(orders, values, reverse));
+    }
+    if (this.attributes.length > 0) {
+      const missing = orders
+        .map(([column]) => column)
+        .filter((column) => !this.attributes.includes(column));
+      query = query.needColumns([...this.attributes, ...missing]);
+    }
+
+    let result;
+    let options = null;
+    try {
+      options = query.buildOptions();
+      delete options.offset;
+      const rows = await this.table.findAll({ ...options, limit: perPage + 1 });
+
+      const more = rows.length > perPage;
+      const data = rows.slice(0, perPage);
+      if (reverse) data.reverse();
+
+      const edge = (row, direction) =>
+        encodeCursor(
+          orders.map(([column]) => row.get(column)),
+          direction
+        );
+      let nextCursor = null;
+      let prevCursor = null;
+      if (data.length > 0) {
+        const first = data[0];
+        const last = data[data.length - 1];
+        if (reverse) {
+          nextCursor = edge(last, "next");
+          prevCursor = more ? edge(first, "prev") : null;
+        } else {
+          nextCursor = more ? edge(last, "next") : null;
+          prevCursor = decoded !== null ? edge(first, "prev") : null;
+        }
+      }
+
+      result = {
+        data,
+        perPage,
+        nextCursor,
+        prevCursor,
+        hasMore: nextCursor !== null,
+      };
+    } catch (error) {
+      throw new ReadError(
+        "Error in cursorPaginate method: " + error.message,
+        this.errorContext("cursorPaginate", error, options)
+      );
+    }
+    await this.retrieve(result.data, "cursorPaginate");
+    return { ...result, data: this.present(result.data) };
+  };
+
+  // Chunked iteration
+  chunkSize = (size, method) => {
+    mustBe(size, "positiveInteger", method, "size");
+  };
+
+  fetchRows = async (options, method) => {
+    try {
+      return await this.table.findAll(options);
+    } catch (error) {
+      throw new ReadError(
+        `Error in ${method} method: ${error.message}`,
+        this.errorContext(method, error, options)
+      );
+    }
+  };
+
+  // Offset based pages, without orderBy the rows are ordered by primary key so
+  // pages are stable
+  async *pages(size, method) {
+    this.chunkSize(size, method);
+    const query =
+      this.orders.length > 0 || this.options.hasOwnProperty("order")
+        ? this
+        : this.setOrders(this.table.primaryKeyAttributes.map((key) => [key]));
+    const options = query.buildOptions();
+
+    for (let offset = 0; ; offset += size) {
+      const rows = await this.fetchRows(
+        { ...options, limit: size, offset },
+        method
+      );
+      if (rows.length === 0) return;
+      await this.retrieve(rows, method);
+      yield this.present(rows);
+      if (rows.length < size) return;
+    }
+  }
+
+  // Keyset based pages, rows updated or deleted in between aren't skipped
+  async *pagesById(size, column, method) {
+    this.chunkSize(size, method);
+    mustBe(column, "?string", method, "column");
+    if (column === null) {
+      if (this.table.primaryKeyAttributes.length !== 1)
+        throw new ModelError(
+          `${method} method needs a column, ${this.identifier} has no single primary key`
+        );
+      column = this.table.primaryKeyAttributes[0];
+    }
+
+    let query = this.setOrders([[column, "ASC"]]);
+    if (this.attributes.length > 0 && !this.attributes.includes(column)) {
+      query = query.needColumns([...this.attributes, column]);
+    }
+
+    let lastId = null;
+    while (true) {
+      const options = (
+        lastId === null ? query : query.groupedWhere(column, ">", lastId)
+      ).buildOptions();
+      delete options.offset;
+      const rows = await this.fetchRows({ ...options, limit: size }, method);
+      if (rows.length === 0) return;
+      lastId = rows[rows.length - 1].get(column);
+      await this.retrieve(rows, method);
+      yield this.present(rows);
+      if (rows.length < size) return;
+    }
+  }
+
+  // The callback receives (rows, page), returning false stops the iteration
+  chunk = async (size, callback) => {
+    mustBe(callback, "function", "chunk", "callback");
+    let page = 0;
+    for await (const rows of this.pages(size, "chunk")) {
+      if ((await callback(rows, ++page)) === false) return false;
+    }
+    return true;
+  };
+
+  chunkById = async (size, callback, column = null) => {
+    mustBe(callback, "function", "chunkById", "callback");
+    mustBe(column, "?string", "chunkById", "column");
+    let page = 0;
+    for await (const rows of this.pagesById(size, column, "chunkById")) {
+      if ((await callback(rows, ++page)) === false) return false;
+    }
+    return true;
+  };
+
+  // Async iterators yielding row by row, fetching size rows per query
+  async *lazy(size = 1000) {
+    for await (const rows of this.pages(size, "lazy")) yield* rows;
+  }
+
+  async *lazyById(size = 1000, column = null) {
+    for await (const rows of this.pagesById(size, column, "lazyById"))
+      yield* rows;
+  }
+
+  cursor(size = 1000) {
+    return this.lazy(size);
+  }
+
+  getOrCreate = async (data) => {
+    mustBe(data, "plainObject", "getOrCreate", "data");
+
+    let item;
+    try {
+      item = await this.table.findOne({
+        where: data,
+        ...this.queryOptions(),
+      });
+    } catch (error) {
+      throw new ModelError(
+        `Error creating or finding ${this.identifier}: ${error.message}`,
+        this.errorContext("getOrCreate", error)
+      );
+    }
+    // created through create() so the creating/created hooks run
+    if (item === null) return this.create(data);
+
+    if (this.throwError) {
+      throw new CreateError(
+        `${this.identifier} already exists with data ${JSON.stringify(data)}`,
+        {
+          code: "ALREADY_EXISTS",
+          statusCode: 409,
+          identifier: this.identifier,
+          operation: "getOrCreate",
+        }
+      );
+    }
+    await this.retrieve([item], "getOrCreate");
+    return this.serializable([item])[0];
+  };
+
+  // Update the row matching match with values, or create it from both
+  updateOrCreate = async (match, values = {}) => {
+    mustBe(match, "plainObject", "updateOrCreate", "match");
+    mustBe(values, "plainObject", "updateOrCreate", "values");
+
+    let item;
+    try {
+      item = await this.table.findOne({
+        where: match,
+        ...this.queryOptions(),
+      });
+    } catch (error) {
+      throw new ModelError(
+        `Error updating or creating ${this.identifier}: ${error.message}`,
+        this.errorContext("updateOrCreate", error)
+      );
+    }
+    if (item === null) return this.create({ ...match, ...values });
+
+    let changes = await this.beforeHook(
+      "saving",
+      "updateOrCreate",
+      { ...this.fill(values, "updateOrCreate") },
+      UpdateError,
+      { item }
+    );
+    changes = await this.beforeHook(
+      "updating",
+      "updateOrCreate",
+      changes,
+      UpdateError,
+      { item }
+    );
+    await this.validate([changes], "updateOrCreate", {
+      partial: true,
+      except: item.where(),
+    });
+
+    try {
+      await item.update(changes, this.queryOptions());
+    } catch (error) {
+      throw new UpdateError(
+        `Error updating ${this.identifier}: ${error.message}`,
+        this.errorContext("updateOrCreate", error)
+      );
+    }
+    await this.flushCache();
+    await this.afterHook("updated", "updateOrCreate", item, {
+      payload: changes,
+    });
+    return this.serializable([item])[0];
+  };
+
+  // The conflict target of upsert must be the primary key or a unique index,
+  // otherwise the database never detects the duplicate
+  mustBeUniqueKey = (columns, method) => {
+    if (
+      !Array.isArray(columns) ||
+      columns.length === 0 ||
+      columns.some((column) => typeof column != "string")
+    )
+      throw new ModelError(
+        `uniqueBy in ${method} method must be a non empty array of column names`
+      );
+    if (isUniqueKey(this.table, columns)) return;
+
+    const available = uniqueKeys(this.table)
+      .map((key) => `[${key.join(", ")}]`)
+      .join(", ");
+    throw new CreateError(
+      `[${columns.join(", ")}] is not a unique index of ${
+        this.identifier
+      }, available: ${available}`,
+      {
+        code: "INVALID_CONFLICT_TARGET",
+        identifier: this.identifier,
+        operation: method,
+        details: columns.map((field) => ({
+          field,
+          message: `${field} is not covered by a unique index`,
+          type: "conflict target",
+        })),
+      }
+    );
+  };
+
+  // Insert rows or update the ones conflicting on uniqueBy. Which rows exist
+  // is read right before the write, run it in a transaction to keep the
+  // counts and the hooks exact under concurrent writes.
+  upsert = async (data, options = {}) => {
+    mustBe(data, "plainObject|array", "upsert", "data");
+    mustBe(options, "plainObject", "upsert", "options");
+    const { uniqueBy = this.table.primaryKeyAttributes, update = null } =
+      options;
+    mustBe(uniqueBy, "array", "upsert", "uniqueBy");
+    mustBe(update, "?array", "upsert", "update");
+    this.mustBeUniqueKey(uniqueBy, "upsert");
+
+    const saved = [];
+    for (const row of Array.isArray(data) ? data : [data]) {
+      saved.push(
+        await this.beforeHook(
+          "saving",
+          "upsert",
+          { ...this.fill(row, "upsert") },
+          CreateError
+        )
+      );
+    }
+    if (saved.length === 0) return { created: 0, updated: 0, ignored: 0 };
+
+    // Every given column except the conflict target when update is omitted,
+    // without any the conflicting rows are left untouched
+    const updatable = (rows) =>
+      (update !== null
+        ? update
+        : [...new Set(rows.flatMap(Object.keys))]
+      ).filter((column) => !uniqueBy.includes(column));
+    const ignore = updatable(saved).length === 0;
+
+    // Rows sharing a key within the batch hit the same table row, it is
+    // counted and gets its created or updated listeners once
+    const keyOf = (read) => {
+      const values = uniqueBy.map(read);
+      if (values.some((value) => value === undefined || value === null))
+        return null;
+      return JSON.stringify(
+        values.map((value) =>
+          value instanceof Date ? value.toISOString() : String(value)
+        )
+      );
+    };
+    const keys = new Map();
+    saved.forEach((row) => {
+      const key = keyOf((column) => row[column]);
+      if (key !== null)
+        keys.set(
+          key,
+          Object.fromEntries(uniqueBy.map((column) => [column, row[column]]))
+        );
+    });
+    const targets = async () => {
+      const found = new Map();
+      if (keys.size === 0) return found;
+      const items = await this.table.findAll({
+        where: { [Op.or]: [...keys.values()] },
+        paranoid: false,
+        ...this.queryOptions(),
+      });
+      items.forEach((item) => {
+        found.set(
+          keyOf((column) => item.get(column)),
+          item
+        );
+      });
+      return found;
+    };
+
+    let existing;
+    try {
+      existing = await targets();
+    } catch (error) {
+      throw new CreateError(
+        `Error upserting into ${this.identifier}: ${error.message}`,
+        this.errorContext("upsert", error)
+      );
+    }
+    const rows = [];
+    const keyed = [];
+    for (const row of saved) {
+      const key = keyOf((column) => row[column]);
+      keyed.push(key);
+      if (key === null || !existing.has(key)) {
+        rows.push(
+          await this.beforeHook("creating", "upsert", row, CreateError)
+        );
+      } else if (!ignore) {
+        rows.push(
+          await this.beforeHook("updating", "upsert", row, UpdateError, {
+            item: existing.get(key),
+          })
+        );
+      } else {
+        rows.push(row);
+      }
+    }
+    // conflicting rows are the point of upsert, unique rules are skipped
+    await this.validate(rows, "upsert", {
+      bulk: Array.isArray(data),
+      unique: false,
+    });
+
+    const columns = ignore ? [] : updatable(rows);
+    const { updatedAt } = this.table._timestampAttributes;
+    if (columns.length > 0 && updatedAt && !columns.includes(updatedAt))
+      columns.push(updatedAt);
+    const bulkOptions = {
+      ...this.queryOptions(),
+      conflictAttributes: uniqueBy,
+    };
+    if (columns.length > 0) bulkOptions.updateOnDuplicate = columns;
+    else bulkOptions.ignoreDuplicates = true;
+
+    let inserted;
+    try {
+      inserted = await this.table.bulkCreate(rows, bulkOptions);
+    } catch (error) {
+      throw new CreateError(
+        `Error upserting into ${this.identifier}: ${error.message}`,
+        this.errorContext("upsert", error, bulkOptions)
+      );
+    }
+    await this.flushCache();
+
+    // The instances of bulkCreate don't tell inserted from updated rows, the
+    // keyed ones are read again for the created and updated listeners
+    const listeners = this.sequerizer.listeners || {};
+    if (
+      ["created", "updated"].some((event) => (listeners[event] || []).length)
+    ) {
+      let written;
+      try {
+        written = await targets();
+      } catch (error) {
+        throw new ReadError(
+          `Error reading the upserted ${this.identifier}: ${error.message}`,
+          this.errorContext("upsert", error)
+        );
+      }
+      for (const [index, item] of inserted.entries()) {
+        if (keyed[index] === null)
+          await this.afterHook("created", "upsert", item);
+      }
+      for (const [key, item] of written) {
+        if (!existing.has(key)) await this.afterHook("created", "upsert", item);
+        else if (!ignore) await this.afterHook("updated", "upsert", item);
+      }
+    }
+
+    const created =
+      keyed.filter((key) => key === null).length + keys.size - existing.size;
+    return ignore
+      ? { created, updated: 0, ignored: existing.size }
+      : { created, updated: existing.size, ignored: 0 };
+  };
+
+  // Khusus get, untuk custom column gunakan method needColumns
+  getWhere = async (conditions = null) => {
+    mustBe(conditions, "?plainObject", "getWhere", "conditions");
+    let items;
+    const withOptions = { ...this.queryOptions(), ...this.trashedOptions() };
+    try {
+      withOptions.where =
+        conditions !== null ? conditions : this.compiledWhere();
+      if (this.attributes.length > 0) {
+        withOptions.attributes = [...this.attributes];
+      }
+      items = await this.cached("getWhere", withOptions, () =>
+        this.table.findAll(withOptions)
+      );
+    } catch (error) {
+      throw new ReadError(
+        "Fail fetching data: " + error.message,
+        this.errorContext("getWhere", error, withOptions)
+      );
+    }
+    return this.present(await this.retrieve(items, "getWhere"));
+  };
+
+  find = async (id) => {
+    let item;
+    let options = null;
+    try {
+      options = this.groupedWhere(
+        this.table.primaryKeyAttribute,
+        id
+      ).buildOptions();
+      delete options.offset;
+      item = await this.cached("find", options, () =>
+        this.table.findOne(options)
+      );
+    } catch (error) {
+      throw new ReadError(
+        `Error finding ${this.identifier} with id ${id}: ${error.message}`,
+        this.errorContext("find", error, options)
+      );
+    }
+    if (!item && this.throwError) {
+      throw new NotFoundError(`${this.identifier} not found with id ${id}`, {
+        identifier: this.identifier,
+        operation: "find",
+        options,
+      });
+    }
+    await this.retrieve([item], "find");
+    return this.present([item])[0];
+  };
+
+  first = async () => {
+    let item;
+    let options = null;
+    try {
+      options = this.buildOptions();
+      item = await this.cached("first", options, () =>
+        this.table.findOne(options)
+      );
+    } catch (error) {
+      throw new ReadError(
+        `Error finding ${this.identifier}: ${error.message}`,
+        this.errorContext("first", error, options)
+      );
+    }
+    if (!item && this.throwError) {
+      throw new NotFoundError(`${this.identifier} not found`, {
+        identifier: this.identifier,
+        operation: "first",
+        options,
+      });
+    }
+    await this.retrieve([item], "first");
+    return this.present([item])[0];
+  };
+
+  count = async (conditions = null) => {
+    mustBe(conditions, "?plainObject", "count", "conditions");
+    let options = null;
+    try {
+      options = this.buildOptions();
+      if (conditions !== null) {
+        options.where = conditions;
+      }
+      const count = await this.cached("count", options, () =>
+        this.table.count(options)
+      );
+      return count;
+    } catch (error) {
+      throw new ReadError(
+        "Error in count method: " + error.message,
+        this.errorContext("count", error, options)
+      );
+    }
+  };
+
+  exists = async (conditions = null) => {
+    mustBe(conditions, "?plainObject", "exists", "conditions");
+    let options = null;
+    try {
+      options = this.buildOptions();
+      if (conditions !== null) {
+        options.where = conditions;
+      }
+      return await this.cached(
+        "exists",
+        options,
+        async () => (await this.table.findOne(options)) !== null
+      );
+    } catch (error) {
+      throw new ReadError(
+        "Error in exists method: " + error.message,
+        this.errorContext("exists", error, options)
+      );
+    }
+  };
+
+  // Single aggregate over every matching row, groups and pages are ignored
+  aggregate = async (name, column) => {
+    mustBe(column, "string", name, "column");
+    let options = null;
+    try {
+      options = this.buildOptions();
+      ["include", "order", "limit", "offset", "group", "having"].forEach(
+        (key) => delete options[key]
+      );
+      options.attributes = [
+        [this.aggregateExpression(name, column), "aggregate"],
+      ];
+      options.raw = true;
+      const row = await this.table.findOne(options);
+      const value = row === null ? null : row.aggregate;
+      if (name === "min" || name === "max") return value;
+      if (value === null) return name === "sum" ? 0 : null;
+      return toNumber(value);
+    } catch (error) {
+      throw new ReadError(
+        `Error in ${name} method: ${error.message}`,
+        this.errorContext(name, error, options)
+      );
+    }
+  };
+
+  sum = (column) => this.aggregate("sum", column);
+
+  avg = (column) => this.aggregate("avg", column);
+
+  min = (column) => this.aggregate("min", column);
+
+  max = (column) => this.aggregate("max", column);
+
+  // Values of column, keyed by the values of keyColumn when given
+  pluck = async (column, keyColumn = null) => {
+    mustBe(column, "string", "pluck", "column");
+    mustBe(keyColumn, "?string", "pluck", "keyColumn");
+    let rows;
+    let options = null;
+    try {
+      options = this.buildOptions();
+      delete options.include;
+      options.attributes = keyColumn === null ? [column] : [column, keyColumn];
+      options.raw = true;
+      rows = await this.table.findAll(options);
+    } catch (error) {
+      throw new ReadError(
+        "Error in pluck method: " + error.message,
+        this.errorContext("pluck", error, options)
+      );
+    }
+    if (keyColumn === null) return rows.map((row) => row[column]);
+    return Object.fromEntries(rows.map((row) => [row[keyColumn], row[column]]));
+  };
+
+  // column of the first matching row, null when there is none
+  value = async (column) => {
+    mustBe(column, "string", "value", "column");
+    let options = null;
+    try {
+      options = this.buildOptions();
+      delete options.include;
+      options.attributes = [column];
+      options.raw = true;
+      const row = await this.table.findOne(options);
+      return row === null ? null : row[column];
+    } catch (error) {
+      throw new ReadError(
+        "Error in value method: " + error.message,
+        this.errorContext("value", error, options)
+      );
+    }
+  };
+
+  update = async (payload, conditions = null) => {
+    mustBe(payload, "plainObject", "update", "payload");
+    mustBe(conditions, "?plainObject", "update", "conditions");
+    const options = this.buildOptions();
+    if (conditions !== null) {
+      options.where = conditions;
+    }
+    let changes = await this.beforeHook(
+      "saving",
+      "update",
+      { ...this.fill(payload, "update") },
+      UpdateError,
+      { options }
+    );
+    changes = await this.beforeHook(
+      "updating",
+      "update",
+      changes,
+      UpdateError,
+      {
+        options,
+      }
+    );
+    // unique values may be kept by the updated rows themselves
+    await this.validate([changes], "update", {
+      partial: true,
+      except: options.where,
+    });
+
+    let items;
+    try {
+      items = await this.table.update(changes, options);
+    } catch (error) {
+      throw new UpdateError(
+        `Error updating ${this.identifier} table: ${error.message}`,
+        this.errorContext("update", error, options)
+      );
+    }
+    await this.flushCache();
+    await this.afterHook("updated", "update", items, {
+      options,
+      payload: changes,
+    });
+    return items;
+  };
+
+  // deleting listeners receive the where conditions of the rows to delete
+  destroyWithHooks = async (operation, options, ErrorClass, message) => {
+    options.where = await this.beforeHook(
+      "deleting",
+      operation,
+      options.where,
+      ErrorClass,
+      { options }
+    );
+
+    let result;
+    try {
+      result = await this.table.destroy(options);
+    } catch (error) {
+      throw new ErrorClass(
+        `${message}: ${error.message}`,
+        this.errorContext(operation, error, options)
+      );
+    }
+    await this.flushCache();
+    await this.afterHook("deleted", operation, result, { options });
+    return result;
+  };
+
+  delete = async (conditions = null) => {
+    mustBe(conditions, "?plainObject", "delete", "conditions");
+    const options = this.buildOptions();
+    if (conditions !== null) {
+      options.where = conditions;
+    }
+
+    return this.destroyWithHooks(
+      "delete",
+      options,
+      DeleteError,
+      `Error deleting from ${this.identifier}`
+    );
+  };
+
+  restore = async (conditions = null) => {
+    mustBe(conditions, "?plainObject", "restore", "conditions");
+    this.mustBeParanoid("restore");
+    const options = this.withTrashed().buildOptions();
+    if (conditions !== null) {
+      options.where = conditions;
+    }
+
+    let result;
+    try {
+      result = await this.table.restore(options);
+    } catch (error) {
+      throw new UpdateError(
+        `Error restoring ${this.identifier}: ${error.message}`,
+        this.errorContext("restore", error, options)
+      );
+    }
+    await this.flushCache();
+    return result;
+  };
+
+  // Permanently delete, soft deleted rows included
+  forceDelete = async (conditions = null) => {
+    mustBe(conditions, "?plainObject", "forceDelete", "conditions");
+    const options = this.buildOptions();
+    if (conditions !== null) {
+      options.where = conditions;
+    }
+
+    return this.destroyWithHooks(
+      "forceDelete",
+      { ...options, paranoid: false, force: true },
+      DeleteError,
+      `Error force deleting from ${this.identifier}`
+    );
+  };
+
+  // Always empties the table, paranoid or not
+  truncate = async () => {
+    await this.destroyWithHooks(
+      "truncate",
+      { where: {}, truncate: true, force: true, ...this.queryOptions() },
+      DeleteError,
+      `Error truncating ${this.identifier}`
+    );
+  };
+}
+
+module.exports = QueryBuilder;
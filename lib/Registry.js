@@ -0,0 +1,118 @@
+const path = require("path");
+const { mustBe } = require("./utils/arguments.js");
+const { pascalCase } = require("./utils/naming.js");
+const { associateBlueprint } = require("./utils/relations.js");
+const { createConnection, loadDirectory } = require("./config.js");
+const ModelError = require("./errors/ModelError.js");
+
+// Models of every blueprint as Sequerizer instances: models.Users for the
+// blueprint users. A blueprint may carry a fourth element, ignored by
+// sequelize.define:
+// [modelName, attributes, options, {
+//   connection: "analytics",          // named connection, default otherwise
+//   config: { hidden: ["password"] }, // Sequerizer config
+//   associations: { posts: { type: "hasMany", model: "posts", foreignKey: "user_id" } },
+// }]
+// Associations are keyed by alias, model names the target blueprint and the
+// other keys are the Sequelize association options.
+class Registry {
+  constructor(options = {}) {
+    mustBe(options, "plainObject", "boot", "options");
+    const {
+      root = process.cwd(),
+      connection = null,
+      connections = {},
+      blueprintsDir = "blueprints",
+      blueprints = null,
+    } = options;
+    mustBe(connections, "plainObject", "boot", "connections");
+    mustBe(blueprints, "?plainObject", "boot", "blueprints");
+
+    this.connections = {};
+    if (connection !== null)
+      this.connections.default = createConnection(connection);
+    Object.entries(connections).forEach(([name, value]) => {
+      this.connections[name] = createConnection(value, name);
+    });
+    if (Object.keys(this.connections).length === 0)
+      throw new ModelError("boot needs a connection or named connections");
+
+    this.blueprints =
+      blueprints !== null
+        ? blueprints
+        : Object.fromEntries(
+            loadDirectory(path.resolve(root, blueprintsDir)).map(
+              ({ name, exported }) => [name, exported]
+            )
+          );
+    this.models = {};
+    this.names = {};
+    Object.entries(this.blueprints).forEach(([name, blueprint]) => {
+      this.define(name, blueprint);
+    });
+    Object.entries(this.blueprints).forEach(([name, blueprint]) => {
+      this.associate(name, blueprint[3] || {});
+    });
+  }
+
+  connection = (name = "default") => {
+    mustBe(name, "string", "connection", "name");
+    if (!this.connections.hasOwnProperty(name))
+      throw new ModelError(
+        `Unknown connection ${name}, booted: ${Object.keys(
+          this.connections
+        ).join(", ")}`
+      );
+    return this.connections[name];
+  };
+
+  define = (name, blueprint) => {
+    if (!Array.isArray(blueprint) || blueprint.length < 2)
+      throw new ModelError(
+        `Blueprint ${name} must be a [modelName, attributes, options] tuple`
+      );
+    const { Sequerizer } = require("./Sequerizer.js");
+    const { connection = "default", config = {} } = blueprint[3] || {};
+    const key = pascalCase(name);
+    if (this.models.hasOwnProperty(key))
+      throw new ModelError(
+        `Blueprints ${this.names[key]} and ${name} both make ${key}`
+      );
+
+    const table = this.connection(connection).define(...blueprint.slice(0, 3));
+    this.models[key] = new Sequerizer(table, config);
+    this.names[key] = name;
+  };
+
+  // Model of a blueprint name ("users"), a model key ("Users") or a model
+  // name of sequelize.define
+  model = (name) => {
+    mustBe(name, "string", "model", "name");
+    const key = pascalCase(name);
+    if (this.models.hasOwnProperty(key)) return this.models[key];
+    const found = Object.values(this.models).find(
+      (model) => model.table.name === name
+    );
+    if (found) return found;
+    throw new ModelError(
+      `Unknown model ${name}, booted: ${Object.keys(this.models).join(", ")}`
+    );
+  };
+
+  associate = (name, { associations = {} }) => {
+    associateBlueprint(
+      name,
+      this.model(name).table,
+      associations,
+      (model) => this.model(model).table
+    );
+  };
+
+  close = async () => {
+    for (const sequelize of Object.values(this.connections)) {
+      await sequelize.close();
+    }
+  };
+}
+
+module.exports = Registry;
@@ -1,436 +1,304 @@
 const { Op } = require("sequelize");
+const inspect = require("./utils/inspect.js");
+const QueryBuilder = require("./QueryBuilder.js");
+const { transaction } = require("./utils/transaction.js");
+const { events, mustBeAnEvent } = require("./utils/hooks.js");
+const { mustBe } = require("./utils/arguments.js");
+const { mustBeRules } = require("./utils/rules.js");
+const { register } = require("./utils/models.js");
+const { defaults: cacheDefaults } = require("./utils/cache.js");
+const MemoryStore = require("./cache/MemoryStore.js");
+const RedisStore = require("./cache/RedisStore.js");
+const { Factory, defineFactory } = require("./database/Factory.js");
+const { Seeder, runSeeders } = require("./database/Seeder.js");
+const Migrator = require("./database/Migrator.js");
+const Registry = require("./Registry.js");
+const { loadConfig } = require("./config.js");
+const {
+  sequerizerErrorHandler,
+  sequerizerKoaErrorHandler,
+  bindModel,
+  bindModelKoa,
+} = require("./middleware.js");
 const ModelError = require("./errors/ModelError.js");
 const CreateError = require("./errors/CreateError.js");
 const ReadError = require("./errors/ReadError.js");
 const NotFoundError = require("./errors/NotFoundError.js");
 const UpdateError = require("./errors/UpdateError.js");
 const DeleteError = require("./errors/DeleteError.js");
+const ValidationError = require("./errors/ValidationError.js");
+const MigrationError = require("./errors/MigrationError.js");
+
+const isCacheStore = (store) => {
+  return (
+    typeof store == "object" &&
+    store !== null &&
+    ["get", "set", "delete"].every(
+      (method) => typeof store[method] == "function"
+    )
+  );
+};
 
+// Sequerizer itself holds no query state, every call below starts a fresh
+// QueryBuilder so concurrent or aborted queries can't contaminate each other.
 class Sequerizer {
-  constructor(table) {
+  constructor(table, config = {}) {
     if (table == undefined)
       throw new ModelError(
         "Sequelize model table must be define in constructor"
       );
+    mustBe(config, "plainObject", "Sequerizer", "config");
 
     this.table = table;
     this.identifier = table.name;
-
-    this.conditions = {};
-    this.inspectValue = null;
-    this.orders = [];
-    this.attributes = [];
-    this.options = {};
-    this.throwError = false;
-    this.limitValue = null;
-    this.offsetValue = null;
-    this.groups = [];
+    this.listeners = {};
+    // null until enableQueryLog()
+    this.queryLog = null;
+    this.slowQueryListeners = [];
+
+    // Shape of plain results (asPlain, transform): hidden and visible are
+    // attribute names, appends: { name: (row) => value } computed attributes
+    const { hidden = [], visible = [], appends = {} } = config;
+    mustBe(appends, "plainObject", "Sequerizer", "appends");
+    [
+      ["hidden", hidden],
+      ["visible", visible],
+    ].forEach(([name, list]) => {
+      if (!Array.isArray(list) || list.some((key) => typeof key != "string"))
+        throw new ModelError(`${name} must be an array of attribute names`);
+    });
+    Object.entries(appends).forEach(([name, append]) => {
+      if (typeof append != "function")
+        throw new ModelError(`Append ${name} must be a function`);
+    });
+    this.hidden = [...hidden];
+    this.visible = [...visible];
+    this.appends = { ...appends };
+
+    // Writes: rules validated before every write, fillable or guarded
+    // attributes for mass assignment, the others are stripped or rejected
+    const {
+      rules = {},
+      fillable = null,
+      guarded = [],
+      massAssignment = "strip",
+    } = config;
+    mustBe(rules, "plainObject", "Sequerizer", "rules");
+    mustBeRules(rules);
+    [
+      ["fillable", fillable === null ? [] : fillable],
+      ["guarded", guarded],
+    ].forEach(([name, list]) => {
+      if (!Array.isArray(list) || list.some((key) => typeof key != "string"))
+        throw new ModelError(`${name} must be an array of attribute names`);
+    });
+    if (!["strip", "reject"].includes(massAssignment))
+      throw new ModelError('massAssignment must be "strip" or "reject"');
+    this.rules = { ...rules };
+    this.fillable = fillable === null ? null : [...fillable];
+    this.guarded = [...guarded];
+    this.massAssignment = massAssignment;
+
+    // cache: store of remember(), falls back to the Sequerizer.useCache store
+    const { cache = null } = config;
+    if (cache !== null && !isCacheStore(cache))
+      throw new ModelError("cache must be a store with get, set and delete");
+    this.cacheStore = cache;
+
+    // scopes: { name: (query, ...args) => query }, called as chain methods
+    // globalScopes: { name: (query) => query }, applied to every query
+    const { scopes = {}, globalScopes = {} } = config;
+    mustBe(scopes, "plainObject", "Sequerizer", "scopes");
+    mustBe(globalScopes, "plainObject", "Sequerizer", "globalScopes");
+    this.scopes = {};
+    this.globalScopes = {};
+    const reserved = this.query();
+    Object.entries(scopes).forEach(([name, scope]) => {
+      if (typeof scope != "function")
+        throw new ModelError(`Scope ${name} must be a function`);
+      if (name in reserved || name in this)
+        throw new ModelError(`Scope name ${name} is reserved by Sequerizer`);
+    });
+    Object.entries(globalScopes).forEach(([name, scope]) => {
+      if (typeof scope != "function")
+        throw new ModelError(`Global scope ${name} must be a function`);
+    });
+    this.scopes = { ...scopes };
+    this.globalScopes = { ...globalScopes };
+
+    Object.keys(this.scopes).forEach((name) => {
+      this[name] = (...args) => this.query()[name](...args);
+    });
+
+    register(this);
   }
 
-  // validator utility
-  inspect = (data) => {
-    this.inspectValue = data;
-    return this;
-  };
-
-  mustBeAn = (type, messageIfError = "Type Error") => {
-    const knownTypes = [
-      "undefined",
-      "object",
-      "boolean",
-      "number",
-      "bigint",
-      "string",
-      "symbol",
-      "function",
-    ];
-    if (!knownTypes.includes(type)) throw new Error("Unknown type");
-    if (typeof this.inspectValue !== type) throw new TypeError(messageIfError);
-  };
-
-  // Clearing utilities (all setter to default)
-  resetConditions = () => {
-    this.conditions = {};
-  };
-
-  resetOptions = () => {
-    this.options = {};
-  };
-
-  resetThrowError = () => {
-    this.throwError = false;
-  };
-
-  clear = () => {
-    this.conditions = {};
-    this.options = {};
-    this.attributes = [];
-    this.orders = [];
-    this.throwError = false;
-    this.limitValue = null;
-    this.offsetValue = null;
-    this.groups = [];
-  };
-
-  // Middleware utilities
-  verifySync = (callback) => {
-    // this is refered to sequelizer itself so like query or something like that
-    const verified = callback(this);
-    this.inspect(verified).mustBeAn(
-      "boolean",
-      "verifySync callback must return boolean value"
-    );
-
-    if (!verified) throw new ModelError("Unverified state occured");
-    return this;
-  };
-
-  verify = async (callback) => {
-    // this is refered to sequelizer itself so like query or something like that
-    const verified = await callback(this);
-    this.inspect(verified).mustBeAn(
-      "boolean",
-      "verify callback must return boolean value"
-    );
-    if (!verified) {
-      throw new ModelError("Unverified state occured");
-    }
+  // Query log, entries are { sql, time, identifier } with time in ms
+  enableQueryLog = () => {
+    if (this.queryLog === null) this.queryLog = [];
     return this;
   };
 
-  // Options builder utilites
-  where = (columnOrConditions, value) => {
-    if (typeof columnOrConditions == "string") {
-      this.conditions[columnOrConditions] = value;
-    } else if (typeof columnOrConditions == "object") {
-      Object.assign(this.conditions, columnOrConditions);
-    }
+  disableQueryLog = () => {
+    this.queryLog = null;
     return this;
   };
 
-  whereIn = (column, values) => {
-    this.inspect(values).mustBeAn(
-      "object",
-      "values in whereIn method must be an array"
-    );
+  getQueryLog = () => [...(this.queryLog || [])];
 
-    this.conditions[column] = {
-      [Op.in]: values,
-    };
+  flushQueryLog = () => {
+    if (this.queryLog !== null) this.queryLog = [];
     return this;
   };
 
-  groupWith = (columns) => {
-    if (!Array.isArray(columns)) {
-      throw new ModelError("groupBy method expects an array of columns");
-    }
-    this.groups = columns;
+  // callback receives the log entry of every query taking threshold ms or more
+  onSlowQuery = (threshold, callback) => {
+    mustBe(threshold, "nonNegative", "onSlowQuery", "threshold");
+    mustBe(callback, "function", "onSlowQuery", "callback");
+    this.slowQueryListeners = [
+      ...this.slowQueryListeners,
+      { threshold, callback },
+    ];
     return this;
   };
 
-  groupBy = (column) => {
-    this.inspect(column).mustBeAn(
-      "string",
-      "column in groupBy method must be a string"
-    );
-    if (!this.groups.includes(column)) {
-      this.groups.push(column);
-    }
-    return this;
-  };
+  // Sequerizer.transaction(sequelize, async (trx) => ...)
+  static transaction = transaction;
 
-  orderBy = (column, direction = "ASC") => {
-    if (!["ASC", "DESC"].includes(direction.toUpperCase()))
-      throw new ModelError("Order available: ASC or DESC");
-    this.orders.push([column, direction.toUpperCase()]);
-    return this;
+  // Registry of the blueprint models, options default to sequerizer.config.js
+  // of the working directory
+  static boot = (options = null) => {
+    return new Registry(options === null ? loadConfig(process.cwd()) : options);
   };
 
-  // setting orders hardly
-  setOrders = (orders) => {
-    this.orders = orders;
-    return this;
+  // Default cache store of every Sequerizer, null turns it off
+  static useCache = (store) => {
+    if (store !== null && !isCacheStore(store))
+      throw new ModelError("cache must be a store with get, set and delete");
+    cacheDefaults.store = store;
   };
 
-  needColumns = (columns) => {
-    this.inspect(columns).mustBeAn(
-      "object",
-      "columns in needColumns method must be an array"
-    );
-    this.attributes = columns;
+  // validator utility
+  inspect = (data) => inspect(data);
+
+  // Lifecycle hooks
+  on = (event, listener) => {
+    mustBe(event, "string", "on", "event");
+    mustBeAnEvent(event, "on");
+    mustBe(listener, "function", "on", "listener");
+    this.listeners[event] = [...(this.listeners[event] || []), listener];
     return this;
   };
 
-  limit = (limitValue) => {
-    this.inspect(limitValue).mustBeAn(
-      "number",
-      "limit in limit method must be a number"
-    );
-    this.limitValue = limitValue;
+  // Without a listener every listener of the event is removed
+  off = (event, listener = null) => {
+    mustBe(event, "string", "off", "event");
+    mustBeAnEvent(event, "off");
+    mustBe(listener, "?function", "off", "listener");
+    this.listeners[event] =
+      listener === null
+        ? []
+        : (this.listeners[event] || []).filter((item) => item !== listener);
     return this;
   };
 
-  offset = (offset) => {
-    this.inspect(offset).mustBeAn("number", "Offset must be a number");
-    this.offsetValue = offset;
+  // observer is an object with methods named after the events
+  observe = (observer) => {
+    mustBe(observer, "object", "observe", "observer");
+    events.forEach((event) => {
+      if (typeof observer[event] == "function") {
+        this.on(event, observer[event].bind(observer));
+      }
+    });
     return this;
   };
 
-  buildOptions = () => {
-    if (!this.options.hasOwnProperty("where")) {
-      this.options.where = this.conditions;
-    }
-    if (
-      this.attributes.length > 0 &&
-      !this.options.hasOwnProperty("attributes")
-    ) {
-      this.options.attributes = this.attributes;
-    }
-    if (this.orders.length > 0 && !this.options.hasOwnProperty("order")) {
-      this.options.order = this.orders;
-    }
-    if (this.limitValue !== null && !this.options.hasOwnProperty("limit")) {
-      this.options.limit = this.limitValue;
-    }
-    if (this.offsetValue !== null && !this.options.hasOwnProperty("offset")) {
-      this.options.offset = this.offsetValue;
-    }
-    if (this.groups.length > 0 && !this.options.hasOwnProperty("group")) {
-      this.options.group = this.groups;
-    }
-  };
+  // Start a new query
+  query = (state = {}) => new QueryBuilder(this, state);
 
-  option = (keyOrOptions, value) => {
-    if (typeof keyOrOptions === "string") {
-      this.options[keyOrOptions] = value;
-    } else if (typeof keyOrOptions === "object") {
-      Object.assign(this.options, keyOrOptions);
-    }
-    return this;
-  };
+  // Middleware utilities
+  verifySync = (callback) => this.query().verifySync(callback);
+  verify = (callback) => this.query().verify(callback);
 
-  withError = (value = true) => {
-    this.throwError = value;
-    return this;
-  };
+  // Options builder utilites
+  where = (...args) => this.query().where(...args);
+  orWhere = (...args) => this.query().orWhere(...args);
+  whereNot = (...args) => this.query().whereNot(...args);
+  whereIn = (...args) => this.query().whereIn(...args);
+  whereNotIn = (...args) => this.query().whereNotIn(...args);
+  whereNull = (...args) => this.query().whereNull(...args);
+  whereNotNull = (...args) => this.query().whereNotNull(...args);
+  whereBetween = (...args) => this.query().whereBetween(...args);
+  whereNotBetween = (...args) => this.query().whereNotBetween(...args);
+  whereLike = (...args) => this.query().whereLike(...args);
+  whereHas = (...args) => this.query().whereHas(...args);
+  has = (...args) => this.query().has(...args);
+  doesntHave = (...args) => this.query().doesntHave(...args);
+  groupWith = (...args) => this.query().groupWith(...args);
+  groupBy = (...args) => this.query().groupBy(...args);
+  selectAggregate = (...args) => this.query().selectAggregate(...args);
+  having = (...args) => this.query().having(...args);
+  orHaving = (...args) => this.query().orHaving(...args);
+  orderBy = (...args) => this.query().orderBy(...args);
+  setOrders = (...args) => this.query().setOrders(...args);
+  needColumns = (...args) => this.query().needColumns(...args);
+  limit = (...args) => this.query().limit(...args);
+  offset = (...args) => this.query().offset(...args);
+  with = (...args) => this.query().with(...args);
+  withCount = (...args) => this.query().withCount(...args);
+  option = (...args) => this.query().option(...args);
+  withError = (...args) => this.query().withError(...args);
+  asPlain = (...args) => this.query().asPlain(...args);
+  raw = (...args) => this.query().raw(...args);
+  transform = (...args) => this.query().transform(...args);
+  toOptions = (...args) => this.query().toOptions(...args);
+  toSQL = (...args) => this.query().toSQL(...args);
+  explain = (...args) => this.query().explain(...args);
+  remember = (...args) => this.query().remember(...args);
+  flushCache = (...args) => this.query().flushCache(...args);
+  using = (...args) => this.query().using(...args);
+  scope = (...args) => this.query().scope(...args);
+  withoutGlobalScope = (...args) => this.query().withoutGlobalScope(...args);
+  withoutGlobalScopes = (...args) => this.query().withoutGlobalScopes(...args);
+  withTrashed = (...args) => this.query().withTrashed(...args);
+  onlyTrashed = (...args) => this.query().onlyTrashed(...args);
 
   // CRUD
-  create = async (data) => {
-    this.inspect(data).mustBeAn(
-      "object",
-      "Inserted data must have type of object"
-    );
-
-    try {
-      const newItem = await this.table.create(data);
-      return newItem;
-    } catch (error) {
-      throw new CreateError(
-        `Error creating ${this.identifier}: ${error.message}`
-      );
-    }
-  };
-
-  insert = async (data) => {
-    this.inspect(data).mustBeAn(
-      "object",
-      "Inserted data must be an object or array of objects"
-    );
-
-    try {
-      let newItem;
-      if (Array.isArray(data)) {
-        newItem = await this.table.bulkCreate(data);
-      } else {
-        newItem = await this.table.create(data);
-      }
-      return newItem;
-    } catch (error) {
-      throw new CreateError(
-        `Error inserting into ${this.identifier}: ${error.message}`
-      );
-    }
-  };
-
-  get = async (columns = [], conditions = null) => {
-    this.inspect(columns).mustBeAn(
-      "object",
-      "columns in whereIn method must be an array"
-    );
-    try {
-      this.buildOptions();
-      if (typeof conditions == "object" && conditions !== null) {
-        this.options.where = conditions;
-      }
-      if (columns.length > 0) {
-        this.options.attributes = columns;
-      }
-      const items = await this.table.findAll(this.options);
-      this.clear();
-      return items;
-    } catch (error) {
-      throw new ReadError("Fail fetching data: " + error.message);
-    }
-  };
-
-  getOrCreate = async (data) => {
-    this.inspect(data).mustBeAn(
-      "object",
-      "Inserted data must have type of object"
-    );
-
-    try {
-      const [item, created] = await this.table.findOrCreate({ where: data });
-      if (!created && this.throwError) {
-        throw new CreateError(
-          `${this.identifier} already exists with data ${JSON.stringify(data)}`
-        );
-      }
-      this.resetThrowError();
-      return item;
-    } catch (error) {
-      throw error instanceof CreateError
-        ? error
-        : new ModelError(
-            `Error creating or finding ${this.identifier}: ${error.message}`
-          );
-    }
-  };
-
-  // Khusus get, untuk custom column gunakan method needColumns
-  getWhere = async (conditions = null) => {
-    try {
-      const withOptions = {};
-      withOptions.where = conditions !== null ? conditions : this.conditions;
-      if (this.attributes.length > 0) {
-        withOptions.attributes = this.attributes;
-      }
-      const items = await this.table.findAll(withOptions);
-      this.clear();
-      return items;
-    } catch (error) {
-      throw new ReadError("Fail fetching data: " + error.message);
-    }
-  };
-
-  find = async (id) => {
-    try {
-      const item = await this.table.findByPk(id);
-      if (!item && this.throwError) {
-        throw new NotFoundError(`${this.identifier} not found with id ${id}`);
-      }
-      this.resetThrowError();
-      return item;
-    } catch (error) {
-      throw error instanceof NotFoundError
-        ? error
-        : new ReadError(
-            `Error finding ${this.identifier} with id ${id}: ${error.message}`
-          );
-    }
-  };
-
-  first = async () => {
-    try {
-      this.buildOptions();
-      const item = await this.table.findOne(this.options);
-      if (!item && this.throwError) {
-        throw new NotFoundError(`${this.identifier} not found`);
-      }
-      this.clear();
-      return item;
-    } catch (error) {
-      throw error instanceof NotFoundError
-        ? error
-        : new ReadError(
-            `Error finding ${this.identifier} with id ${id}: ${error.message}`
-          );
-    }
-  };
-
-  async count(conditions = null) {
-    this.inspect(conditions).mustBeAn(
-      "object",
-      "conditions in count method must be an object"
-    );
-    try {
-      this.buildOptions();
-      if (conditions !== null) {
-        this.options.where = conditions;
-      }
-      const count = await this.table.count(this.options);
-      this.clear();
-      return count;
-    } catch (error) {
-      throw new ReadError("Error in count method: " + error.message);
-    }
-  }
-
-  exists = async (conditions = null) => {
-    this.inspect(conditions).mustBeAn(
-      "object",
-      "conditions in exists method must be an object"
-    );
-    try {
-      this.buildOptions();
-      if (conditions !== null) {
-        this.options.where = conditions;
-      }
-      const item = await this.table.findOne(this.options);
-      this.clear();
-      return item !== null;
-    } catch (error) {
-      throw new ReadError("Error in exists method: " + error.message);
-    }
-  };
-
-  update = async (payload, conditions = null) => {
-    this.buildOptions();
-    if (conditions !== null && typeof conditions === "object") {
-      this.options.where = conditions;
-    }
-
-    try {
-      const items = this.table.update(payload, this.options);
-      this.clear();
-      return items;
-    } catch (error) {
-      throw UpdateError(
-        `Error updating ${this.identifier} table: ${error.message}`
-      );
-    }
-  };
-
-  delete = async (conditions = null) => {
-    this.buildOptions();
-    if (conditions !== null && typeof conditions === "object") {
-      this.options.where = conditions;
-    }
-
-    try {
-      const result = await this.table.destroy(this.options);
-      this.clear();
-      return result;
-    } catch (error) {
-      throw new DeleteError(
-        `Error deleting from ${this.identifier}: ${error.message}`
-      );
-    }
-  };
-
-  truncate = async () => {
-    try {
-      await this.table.destroy({ where: {}, truncate: true });
-    } catch (error) {
-      throw new DeleteError(
-        `Error truncating ${this.identifier}: ${error.message}`
-      );
-    }
-  };
+  create = (...args) => this.query().create(...args);
+  insert = (...args) => this.query().insert(...args);
+  get = (...args) => this.query().get(...args);
+  paginate = (...args) => this.query().paginate(...args);
+  simplePaginate = (...args) => this.query().simplePaginate(...args);
+  cursorPaginate = (...args) => this.query().cursorPaginate(...args);
+  chunk = (...args) => this.query().chunk(...args);
+  chunkById = (...args) => this.query().chunkById(...args);
+  lazy = (...args) => this.query().lazy(...args);
+  lazyById = (...args) => this.query().lazyById(...args);
+  cursor = (...args) => this.query().cursor(...args);
+  getOrCreate = (...args) => this.query().getOrCreate(...args);
+  updateOrCreate = (...args) => this.query().updateOrCreate(...args);
+  upsert = (...args) => this.query().upsert(...args);
+  getWhere = (...args) => this.query().getWhere(...args);
+  find = (...args) => this.query().find(...args);
+  first = (...args) => this.query().first(...args);
+  count = (...args) => this.query().count(...args);
+  exists = (...args) => this.query().exists(...args);
+  sum = (...args) => this.query().sum(...args);
+  avg = (...args) => this.query().avg(...args);
+  min = (...args) => this.query().min(...args);
+  max = (...args) => this.query().max(...args);
+  pluck = (...args) => this.query().pluck(...args);
+  value = (...args) => this.query().value(...args);
+  update = (...args) => this.query().update(...args);
+  delete = (...args) => this.query().delete(...args);
+  restore = (...args) => this.query().restore(...args);
+  forceDelete = (...args) => this.query().forceDelete(...args);
+  truncate = (...args) => this.query().truncate(...args);
 }
 
 module.exports = {
   Sequerizer,
+  QueryBuilder,
   Op,
   ModelError,
   CreateError,
@@ -438,4 +306,18 @@ module.exports = {
   NotFoundError,
   UpdateError,
   DeleteError,
+  ValidationError,
+  MigrationError,
+  MemoryStore,
+  RedisStore,
+  Factory,
+  defineFactory,
+  Seeder,
+  runSeeders,
+  Migrator,
+  Registry,
+  sequerizerErrorHandler,
+  sequerizerKoaErrorHandler,
+  bindModel,
+  bindModelKoa,
 };
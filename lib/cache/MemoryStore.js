@@ -0,0 +1,45 @@
+// In-memory LRU store, the least recently used entries are evicted once max
+// entries are stored and an entry expires after its ttl in seconds. Without a
+// ttl (null) an entry never expires, a ttl of 0 or less stores nothing.
+class MemoryStore {
+  constructor(options = {}) {
+    const { max = 1000 } = options;
+    this.max = max;
+    this.entries = new Map();
+  }
+
+  get = async (key) => {
+    const entry = this.entries.get(key);
+    if (entry === undefined) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Map keeps insertion order, the most recently used entry goes last
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  };
+
+  set = async (key, value, ttl = null) => {
+    this.entries.delete(key);
+    if (ttl !== null && ttl <= 0) return;
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl === null ? null : Date.now() + ttl * 1000,
+    });
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  };
+
+  delete = async (key) => {
+    this.entries.delete(key);
+  };
+
+  clear = async () => {
+    this.entries.clear();
+  };
+}
+
+module.exports = MemoryStore;
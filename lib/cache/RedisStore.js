@@ -0,0 +1,28 @@
+// Adapter of a Redis client, node-redis v4 (setEx) and ioredis (setex) both
+// work. Values are strings already, keys are prefixed. Without a ttl (null)
+// a key never expires, a ttl of 0 or less stores nothing.
+class RedisStore {
+  constructor(client, options = {}) {
+    const { prefix = "" } = options;
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  get = async (key) => {
+    const value = await this.client.get(this.prefix + key);
+    return value === null ? undefined : value;
+  };
+
+  set = async (key, value, ttl = null) => {
+    if (ttl === null) return this.client.set(this.prefix + key, value);
+    if (ttl <= 0) return this.delete(key);
+    const setex = this.client.setEx || this.client.setex;
+    return setex.call(this.client, this.prefix + key, Math.ceil(ttl), value);
+  };
+
+  delete = async (key) => {
+    await this.client.del(this.prefix + key);
+  };
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,294 @@
+const fs = require("fs");
+const path = require("path");
+const repl = require("repl");
+const { Op } = require("sequelize");
+const Migrator = require("../database/Migrator.js");
+const Registry = require("../Registry.js");
+const { runSeeders } = require("../database/Seeder.js");
+const { snakeCase, pascalCase } = require("../utils/naming.js");
+const ModelError = require("../errors/ModelError.js");
+const templates = require("./templates.js");
+const {
+  loadConfig,
+  resolveConfig,
+  directory,
+  connect,
+  loadDirectory,
+  loadBlueprints,
+  loadModels,
+} = require("../config.js");
+
+const usage = `Usage: sequerizer <command> [arguments] [--config=sequerizer.config.js]
+
+  make:model <Name>         Blueprint and Sequerizer model module
+  make:migration <name>     Migration of the blueprint changes, --blank for an empty one
+  make:factory <Name>       Factory of a model
+  migrate                   Run the pending migrations
+  migrate:rollback          Undo the last batch, --steps=<n> for more
+  migrate:status            Applied and pending migrations
+  migrate:fresh             Drop every table and migrate again, --seed to seed after
+  db:seed                   Run DatabaseSeeder or every seeder, --class=<Name> for one
+  tinker                    REPL with the models loaded
+
+Database commands use the default connection, --connection=<name> for another.`;
+
+// ["make:model", "Users", "--force", "--steps=2"] ->
+// { command: "make:model", args: ["Users"], flags: { force: true, steps: "2" } }
+const parseArguments = (argv) => {
+  const [command = "help", ...rest] = argv;
+  const args = [];
+  const flags = {};
+  rest.forEach((item) => {
+    const flag = item.match(/^--([^=]+)(?:=(.*))?$/);
+    if (flag) flags[flag[1]] = flag[2] === undefined ? true : flag[2];
+    else args.push(item);
+  });
+  return { command, args, flags };
+};
+
+const requireName = (args, command) => {
+  if (args.length === 0 || args[0].trim() === "")
+    throw new ModelError(`${command} needs a name`);
+  return args[0];
+};
+
+// Generated files are never overwritten without --force
+const writeFile = (file, source, flags) => {
+  if (fs.existsSync(file) && !flags.force)
+    throw new ModelError(`${file} already exists, use --force to overwrite it`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, source);
+  return file;
+};
+
+// Commands get { config, args, flags, output, connection() } and resolve
+// with nothing, connection() connects on first use
+const commands = {
+  "make:model": async ({ config, args, flags, output }) => {
+    const name = pascalCase(requireName(args, "make:model"));
+    const table = snakeCase(name);
+    const blueprintFile = path.join(
+      directory(config, "blueprintsDir"),
+      `${table}.js`
+    );
+    const modelFile = path.join(directory(config, "modelsDir"), `${name}.js`);
+    const blueprintPath = templates
+      .requirePath(path.dirname(modelFile), blueprintFile)
+      .replace(/\.js$/, "");
+
+    writeFile(blueprintFile, templates.blueprint(table), flags);
+    writeFile(modelFile, templates.model(blueprintPath), flags);
+    output.log(`Created ${blueprintFile}`);
+    output.log(`Created ${modelFile}`);
+  },
+
+  "make:migration": async ({ config, args, flags, output, connection }) => {
+    const name = requireName(args, "make:migration");
+    const migrator = migratorOf(config, await connection(), flags);
+    if (flags.blank) {
+      output.log(`Created ${migrator.makeBlank(name)}`);
+      return;
+    }
+    const file = await migrator.make(name, connectionBlueprints(config, flags));
+    output.log(file === null ? "Nothing to migrate" : `Created ${file}`);
+  },
+
+  "make:factory": async ({ config, args, flags, output }) => {
+    const name = pascalCase(requireName(args, "make:factory"));
+    const blueprints = loadBlueprints(config);
+    const file = path.join(
+      directory(config, "factoriesDir"),
+      `${name}Factory.js`
+    );
+    writeFile(
+      file,
+      templates.factory(name, blueprints[snakeCase(name)]),
+      flags
+    );
+    output.log(`Created ${file}`);
+  },
+
+  migrate: async ({ config, flags, output, connection }) => {
+    const ran = await migratorOf(config, await connection(), flags).migrate();
+    if (ran.length === 0) output.log("Nothing to migrate");
+    ran.forEach((name) => output.log(`Migrated ${name}`));
+  },
+
+  "migrate:rollback": async ({ config, flags, output, connection }) => {
+    const steps = flags.steps === undefined ? 1 : Number(flags.steps);
+    const names = await migratorOf(config, await connection(), flags).rollback({
+      steps,
+    });
+    if (names.length === 0) output.log("Nothing to roll back");
+    names.forEach((name) => output.log(`Rolled back ${name}`));
+  },
+
+  "migrate:status": async ({ config, flags, output, connection }) => {
+    const status = await migratorOf(config, await connection(), flags).status();
+    if (status.length === 0) output.log("No migrations");
+    status.forEach(({ name, applied, batch, missing }) => {
+      const state = applied ? `Ran (batch ${batch})` : "Pending";
+      output.log(`${state.padEnd(16)} ${name}${missing ? " (missing)" : ""}`);
+    });
+  },
+
+  "migrate:fresh": async (context) => {
+    const { config, flags, output, connection } = context;
+    const ran = await migratorOf(config, await connection(), flags).fresh();
+    output.log("Dropped all tables");
+    ran.forEach((name) => output.log(`Migrated ${name}`));
+    if (flags.seed) await commands["db:seed"](context);
+  },
+
+  "db:seed": async ({ config, flags, output, connection }) => {
+    const sequelize = await connection();
+    const seeders = loadDirectory(directory(config, "seedersDir"));
+    const wanted =
+      typeof flags.class == "string"
+        ? flags.class
+        : seeders.some(({ name }) => name === "DatabaseSeeder")
+        ? "DatabaseSeeder"
+        : null;
+    const selected =
+      wanted === null ? seeders : seeders.filter(({ name }) => name === wanted);
+    if (wanted !== null && selected.length === 0)
+      throw new ModelError(`Seeder ${wanted} doesn't exist`);
+
+    const ran = await runSeeders(
+      sequelize,
+      selected.map(({ exported }) => exported),
+      { context: { models: modelsOf(config, sequelize, flags) } }
+    );
+    if (ran.length === 0) output.log("No seeders");
+    ran.forEach((name) => output.log(`Seeded ${name}`));
+  },
+
+  tinker: async ({ config, flags, output, connection, keepOpen }) => {
+    const sequelize = await connection();
+    const models = modelsOf(config, sequelize, flags);
+    const names = Object.keys(models);
+    output.log(
+      names.length > 0
+        ? `Models: ${names.join(", ")}`
+        : "No models loaded, add some with make:model"
+    );
+    const server = repl.start({ prompt: "sequerizer> " });
+    Object.assign(server.context, {
+      sequelize,
+      models,
+      Op,
+      Sequerizer: require("../Sequerizer.js").Sequerizer,
+      ...models,
+    });
+    keepOpen();
+    server.on("exit", () => sequelize.close());
+  },
+
+  help: async ({ output }) => {
+    output.log(usage);
+  },
+};
+
+// Sequelize instances given in options.config are closed by the caller
+const ownedByCaller = (config, sequelize) => {
+  if (config === undefined) return false;
+  const { connection = null, connections = {} } = config;
+  return [connection, ...Object.values(connections)].includes(sequelize);
+};
+
+const connectionName = (flags) => {
+  return typeof flags.connection == "string" ? flags.connection : "default";
+};
+
+// Blueprints of the connection, the fourth element names it
+const connectionBlueprints = (config, flags) => {
+  return Object.fromEntries(
+    Object.entries(loadBlueprints(config)).filter(
+      ([, blueprint]) =>
+        ((blueprint[3] || {}).connection || "default") === connectionName(flags)
+    )
+  );
+};
+
+// Models of the models directory. When the blueprints of the connection
+// declare associations their models are booted through the registry, which
+// wires them, and replace the ones of the same name.
+const modelsOf = (config, sequelize, flags) => {
+  const models = loadModels(config, sequelize);
+  const blueprints = connectionBlueprints(config, flags);
+  const associated = Object.values(blueprints).some(
+    (blueprint) =>
+      Object.keys((blueprint[3] || {}).associations || {}).length > 0
+  );
+  if (!associated) return models;
+
+  const registry = new Registry({
+    connections: { [connectionName(flags)]: sequelize },
+    blueprints,
+  });
+  return { ...models, ...registry.models };
+};
+
+// Named connections keep their migrations in a subdirectory of their name
+const migratorOf = (config, sequelize, flags) => {
+  const name = connectionName(flags);
+  const root = directory(config, "migrationsDir");
+  return new Migrator(sequelize, {
+    directory: name === "default" ? root : path.join(root, name),
+    table: config.migrationsTable,
+  });
+};
+
+// Runs a command, resolves with the exit code. options: cwd, config (an
+// object used instead of the config file) and output ({ log, error })
+const run = async (argv, options = {}) => {
+  const { cwd = process.cwd(), output = console } = options;
+  const { command, args, flags } = parseArguments(argv);
+  if (!commands.hasOwnProperty(command)) {
+    output.error(`Unknown command ${command}\n\n${usage}`);
+    return 1;
+  }
+
+  let sequelize = null;
+  let open = false;
+  try {
+    const config =
+      options.config !== undefined
+        ? resolveConfig(options.config, cwd)
+        : loadConfig(
+            cwd,
+            typeof flags.config == "string" ? flags.config : null
+          );
+    const connection = async () => {
+      if (sequelize === null) {
+        sequelize = connect(config, connectionName(flags));
+        await sequelize.authenticate();
+      }
+      return sequelize;
+    };
+    const keepOpen = () => {
+      open = true;
+    };
+    await commands[command]({
+      config,
+      args,
+      flags,
+      output,
+      connection,
+      keepOpen,
+    });
+    return 0;
+  } catch (error) {
+    output.error(error.message);
+    return 1;
+  } finally {
+    if (
+      sequelize !== null &&
+      !open &&
+      !ownedByCaller(options.config, sequelize)
+    )
+      await sequelize.close();
+  }
+};
+
+module.exports = { run, parseArguments, commands, usage };
@@ -0,0 +1,88 @@
+const path = require("path");
+
+// require() path of file from a module of directory
+const requirePath = (directory, file) => {
+  const relative = path.relative(directory, file).split(path.sep).join("/");
+  return relative.startsWith(".") ? relative : `./${relative}`;
+};
+
+// Same shape as the blueprints of the README: [modelName, attributes, options]
+const blueprint = (table) => `const { DataTypes } = require("sequelize");
+
+module.exports = [
+  "${table}",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: "${table}",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  },
+];
+`;
+
+const model = (
+  blueprintPath
+) => `const { Sequerizer } = require("wmz-sequerizer");
+const blueprint = require("${blueprintPath}");
+
+// Called with the Sequelize instance of the application
+module.exports = (sequelize) => new Sequerizer(sequelize.define(...blueprint));
+`;
+
+const typeKey = (attribute) => {
+  const type = attribute.type || attribute;
+  return type.key || "";
+};
+
+// Placeholder value of an attribute in a generated factory
+const placeholder = (field, attribute) => {
+  const key = typeKey(attribute);
+  if (["STRING", "TEXT", "CHAR", "CITEXT", "UUID"].includes(key))
+    return `\`${field} \${sequence}\``;
+  if (
+    ["INTEGER", "BIGINT", "SMALLINT", "MEDIUMINT", "TINYINT"].includes(key) ||
+    ["FLOAT", "DOUBLE", "DECIMAL", "REAL", "NUMBER"].includes(key)
+  )
+    return "sequence";
+  if (key === "BOOLEAN") return "true";
+  if (key === "DATE" || key === "DATEONLY") return "new Date()";
+  if (key === "ENUM") {
+    const values = (attribute.type || attribute).values || [];
+    return values.length > 0 ? JSON.stringify(values[0]) : "null";
+  }
+  return "null";
+};
+
+// Attributes of the blueprint except the generated ones
+const factoryAttributes = (tuple) => {
+  if (!Array.isArray(tuple) || typeof tuple[1] != "object") return [];
+  return Object.entries(tuple[1])
+    .filter(([, attribute]) => !attribute.autoIncrement)
+    .map(
+      ([field, attribute]) => `    ${field}: ${placeholder(field, attribute)},`
+    );
+};
+
+const factory = (modelName, tuple) => {
+  const attributes = factoryAttributes(tuple);
+  const body =
+    attributes.length > 0
+      ? `({\n${attributes.join("\n")}\n  })`
+      : `({\n    // attribute: \`value \${sequence}\`,\n  })`;
+  return `const { defineFactory } = require("wmz-sequerizer");
+
+// Called with the models: require("./${modelName}Factory")(models)
+module.exports = ({ ${modelName} }) =>
+  defineFactory(${modelName}, ({ sequence }) => ${body});
+`;
+};
+
+module.exports = { requirePath, blueprint, model, factory };
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const { Sequelize } = require("sequelize");
+const ModelError = require("./errors/ModelError.js");
+
+const configFile = "sequerizer.config.js";
+
+// Directories are relative to the config file
+const defaults = {
+  connection: null,
+  connections: {},
+  blueprintsDir: "blueprints",
+  modelsDir: "models",
+  migrationsDir: "migrations",
+  migrationsTable: "sequerizer_migrations",
+  factoriesDir: "factories",
+  seedersDir: "seeders",
+};
+
+// sequerizer.config.js of cwd, or file. Without one the defaults apply and
+// only the make commands work.
+const loadConfig = (cwd, file = null) => {
+  const location = path.resolve(cwd, file || configFile);
+  if (!fs.existsSync(location)) {
+    if (file !== null)
+      throw new ModelError(`Config file ${location} doesn't exist`);
+    return { ...defaults, root: cwd };
+  }
+  return resolveConfig(require(location), path.dirname(location));
+};
+
+const resolveConfig = (config, root) => {
+  if (typeof config != "object" || config === null)
+    throw new ModelError("Sequerizer config must export an object");
+  return { ...defaults, ...config, root };
+};
+
+const directory = (config, key) => path.resolve(config.root, config[key]);
+
+// A Sequelize instance, a connection URL or Sequelize options
+const createConnection = (connection, name = "default") => {
+  if (connection instanceof Sequelize) return connection;
+  if (typeof connection == "string")
+    return new Sequelize(connection, { logging: false });
+  if (typeof connection == "object" && connection !== null)
+    return new Sequelize({ logging: false, ...connection });
+  throw new ModelError(
+    `Connection ${name} must be a Sequelize instance, a URL or Sequelize options`
+  );
+};
+
+// connection is the default one, connections holds the named ones
+const connectionOf = (config, name = "default") => {
+  const { connection = null, connections = {} } = config;
+  if (name === "default" && connection !== null) return connection;
+  if (connections.hasOwnProperty(name)) return connections[name];
+  throw new ModelError(
+    name === "default"
+      ? `No connection configured, add one to ${configFile}: a Sequelize instance, a URL or Sequelize options`
+      : `Unknown connection ${name}, configured: ${Object.keys(
+          connections
+        ).join(", ")}`
+  );
+};
+
+const connect = (config, name = "default") => {
+  return createConnection(connectionOf(config, name), name);
+};
+
+// Modules of a directory in name order: [{ name, exported }], name is the
+// file name without extension
+const loadDirectory = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => [".js", ".cjs"].includes(path.extname(file)))
+    .sort()
+    .map((file) => ({
+      name: path.basename(file, path.extname(file)),
+      exported: require(path.join(dir, file)),
+    }));
+};
+
+// { users: [modelName, attributes, options] } of the blueprints directory
+const loadBlueprints = (config) => {
+  return Object.fromEntries(
+    loadDirectory(directory(config, "blueprintsDir")).map(
+      ({ name, exported }) => [name, exported]
+    )
+  );
+};
+
+// { Users: Sequerizer } of the models directory, a model module exports a
+// Sequerizer or a function of the Sequelize instance returning one
+const loadModels = (config, sequelize) => {
+  return Object.fromEntries(
+    loadDirectory(directory(config, "modelsDir")).map(({ name, exported }) => [
+      name,
+      typeof exported == "function" ? exported(sequelize) : exported,
+    ])
+  );
+};
+
+module.exports = {
+  configFile,
+  loadConfig,
+  resolveConfig,
+  directory,
+  createConnection,
+  connectionOf,
+  connect,
+  loadDirectory,
+  loadBlueprints,
+  loadModels,
+};
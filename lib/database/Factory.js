@@ -0,0 +1,221 @@
+const { transaction, currentTransaction } = require("../utils/transaction.js");
+const { mustBe } = require("../utils/arguments.js");
+const ModelError = require("../errors/ModelError.js");
+
+const isSequerizer = (value) => {
+  return (
+    typeof value == "object" &&
+    value !== null &&
+    typeof value.create == "function" &&
+    typeof value.query == "function" &&
+    value.table !== undefined
+  );
+};
+
+// A state, a sequence item or the overrides: attributes, or a function of
+// the attributes built so far returning the ones to change
+const resolve = (attributes, context, value) => {
+  if (typeof value == "function") return value(attributes, context);
+  return value;
+};
+
+const creatorAssociations = ["HasMany", "HasOne", "BelongsToMany"];
+
+// Rows of a model built from a definition: (context) => attributes, where
+// context is { sequence } and sequence counts the rows built by the factory
+// starting from 1. Like QueryBuilder every chain call returns a new factory,
+// the sequence counter stays shared between them.
+class Factory {
+  constructor(sequerizer, definition, options = {}, state = {}) {
+    if (!isSequerizer(sequerizer))
+      throw new ModelError("defineFactory needs a Sequerizer instance", {
+        code: "INVALID_ARGUMENT",
+        operation: "defineFactory",
+      });
+    mustBe(definition, "function", "defineFactory", "definition");
+    mustBe(options, "plainObject", "defineFactory", "options");
+    const { states = {} } = options;
+    mustBe(states, "plainObject", "defineFactory", "states");
+    Object.entries(states).forEach(([name, state]) => {
+      mustBe(state, "plainObject|function", "defineFactory", `state ${name}`);
+    });
+
+    this.sequerizer = sequerizer;
+    this.definition = definition;
+    this.states = states;
+    this.counter = state.counter || { value: 0 };
+    this.applied = state.applied || [];
+    this.sequences = state.sequences || [];
+    this.relations = state.relations || [];
+  }
+
+  clone = (changes = {}) => {
+    return new Factory(
+      this.sequerizer,
+      this.definition,
+      { states: this.states },
+      {
+        counter: this.counter,
+        applied: [...this.applied],
+        sequences: [...this.sequences],
+        relations: [...this.relations],
+        ...changes,
+      }
+    );
+  };
+
+  // Named state of the definition options, or inline attributes / function
+  state = (state) => {
+    mustBe(state, "string|plainObject|function", "state", "state");
+    if (typeof state == "string" && !this.states.hasOwnProperty(state))
+      throw new ModelError(
+        `Unknown state ${state} of ${this.sequerizer.identifier} factory`,
+        { code: "INVALID_ARGUMENT", operation: "state" }
+      );
+    const resolved = typeof state == "string" ? this.states[state] : state;
+    return this.clone({ applied: [...this.applied, resolved] });
+  };
+
+  // Rows of one make/create call take the items in turn:
+  // sequence({ role: "admin" }, { role: "user" })
+  sequence = (...items) => {
+    if (items.length === 0)
+      throw new ModelError("sequence needs at least one item", {
+        code: "INVALID_ARGUMENT",
+        operation: "sequence",
+      });
+    items.forEach((item, index) => {
+      mustBe(item, "plainObject|function", "sequence", `item ${index}`);
+    });
+    return this.clone({ sequences: items });
+  };
+
+  // Creates count rows of factory for every created row, through the
+  // hasMany, hasOne or belongsToMany association of the model with the
+  // model of factory, relation names it when there are several
+  has = (factory, count = 1, relation = null) => {
+    if (!(factory instanceof Factory))
+      throw new ModelError("has expects factory to be a Factory", {
+        code: "INVALID_ARGUMENT",
+        operation: "has",
+      });
+    mustBe(count, "nonNegativeInteger", "has", "count");
+    mustBe(relation, "?string", "has", "relation");
+    const association = this.associationWith(factory, relation);
+    return this.clone({
+      relations: [...this.relations, { factory, count, association }],
+    });
+  };
+
+  associationWith = (factory, relation) => {
+    const { table, identifier } = this.sequerizer;
+    const target = factory.sequerizer.table;
+    const candidates = Object.values(table.associations).filter(
+      (association) =>
+        association.target === target &&
+        (relation === null || association.as === relation)
+    );
+    if (candidates.length === 0)
+      throw new ModelError(
+        `${identifier} has no ${relation || "association"} with ${target.name}`,
+        { code: "INVALID_ARGUMENT", operation: "has" }
+      );
+    if (candidates.length > 1)
+      throw new ModelError(
+        `${identifier} has several associations with ${target.name}, name one`,
+        { code: "INVALID_ARGUMENT", operation: "has" }
+      );
+    const [association] = candidates;
+    if (!creatorAssociations.includes(association.associationType))
+      throw new ModelError(
+        `has can't create through ${association.associationType} ${association.as}, use hasMany, hasOne or belongsToMany`,
+        { code: "INVALID_ARGUMENT", operation: "has" }
+      );
+    return association;
+  };
+
+  resetSequence = () => {
+    this.counter.value = 0;
+    return this;
+  };
+
+  // Definition, states, sequence item and overrides, later ones win
+  attributes = (overrides = {}, index = 0) => {
+    const context = { sequence: ++this.counter.value };
+    let attributes = { ...this.definition(context) };
+    const layers = [...this.applied];
+    if (this.sequences.length > 0)
+      layers.push(this.sequences[index % this.sequences.length]);
+    layers.push(overrides);
+    layers.forEach((layer) => {
+      attributes = { ...attributes, ...resolve(attributes, context, layer) };
+    });
+    return attributes;
+  };
+
+  // Unsaved instance, relations of has are left out
+  make = (overrides = {}) => {
+    mustBe(overrides, "plainObject|function", "make", "overrides");
+    return this.sequerizer.table.build(this.attributes(overrides));
+  };
+
+  makeMany = (count, overrides = {}) => {
+    mustBe(count, "nonNegativeInteger", "makeMany", "count");
+    mustBe(overrides, "plainObject|function", "makeMany", "overrides");
+    return Array.from({ length: count }, (_, index) =>
+      this.sequerizer.table.build(this.attributes(overrides, index))
+    );
+  };
+
+  // Saved through Sequerizer.create, so validation, mass assignment and
+  // hooks apply. The row and its relations share one transaction.
+  create = async (overrides = {}) => {
+    mustBe(overrides, "plainObject|function", "create", "overrides");
+    const [item] = await this.persist(1, overrides);
+    return item;
+  };
+
+  createMany = async (count, overrides = {}) => {
+    mustBe(count, "nonNegativeInteger", "createMany", "count");
+    mustBe(overrides, "plainObject|function", "createMany", "overrides");
+    return this.persist(count, overrides);
+  };
+
+  persist = async (count, overrides) => {
+    const { sequelize } = this.sequerizer.table;
+    return transaction(sequelize, async () => {
+      const items = [];
+      for (let index = 0; index < count; index++) {
+        const item = await this.sequerizer.create(
+          this.attributes(overrides, index)
+        );
+        await this.createRelations(item);
+        items.push(item);
+      }
+      return items;
+    });
+  };
+
+  createRelations = async (item) => {
+    for (const { factory, count, association } of this.relations) {
+      if (association.associationType === "BelongsToMany") {
+        const related = await factory.createMany(count);
+        await item[association.accessors.add](related, {
+          transaction: currentTransaction(item.sequelize),
+        });
+      } else {
+        await factory.createMany(count, {
+          [association.foreignKey]: item.get(association.sourceKey),
+        });
+      }
+    }
+  };
+}
+
+// defineFactory(Users, ({ sequence }) => ({ phone: `0800${sequence}` }),
+// { states: { unverified: { validated_at: null } } })
+const defineFactory = (sequerizer, definition, options = {}) => {
+  return new Factory(sequerizer, definition, options);
+};
+
+module.exports = { Factory, defineFactory };
@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const { Sequelize, DataTypes } = require("sequelize");
+const { mustBe } = require("../utils/arguments.js");
+const { snakeCase } = require("../utils/naming.js");
+const { diffSchema, renderMigration } = require("./schema.js");
+const MigrationError = require("../errors/MigrationError.js");
+
+const extensions = [".js", ".cjs"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// 20240131235959, UTC
+const timestampOf = (date) => {
+  return [
+    date.getUTCFullYear(),
+    pad(date.getUTCMonth() + 1),
+    pad(date.getUTCDate()),
+    pad(date.getUTCHours()),
+    pad(date.getUTCMinutes()),
+    pad(date.getUTCSeconds()),
+  ].join("");
+};
+
+const dateOf = (timestamp) => {
+  const [year, month, day, hours, minutes, seconds] = timestamp
+    .match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/)
+    .slice(1)
+    .map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+// Migration files of directory, named <timestamp>_<name>.js and exporting
+// up(queryInterface, Sequelize) and down(queryInterface, Sequelize), run in
+// name order. The applied ones are kept in table with the batch of the
+// migrate call that ran them, rollback undoes whole batches.
+class Migrator {
+  constructor(sequelize, options = {}) {
+    if (!sequelize || typeof sequelize.getQueryInterface != "function")
+      throw new MigrationError("Migrator needs a Sequelize instance", {
+        code: "INVALID_ARGUMENT",
+      });
+    mustBe(options, "plainObject", "Migrator", "options");
+    const { directory = "migrations", table = "sequerizer_migrations" } =
+      options;
+    mustBe(directory, "string", "Migrator", "directory");
+    mustBe(table, "string", "Migrator", "table");
+
+    this.sequelize = sequelize;
+    this.queryInterface = sequelize.getQueryInterface();
+    this.directory = path.resolve(directory);
+    this.table = table;
+    this.tableReady = false;
+  }
+
+  files = () => {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => extensions.includes(path.extname(file)))
+      .sort();
+  };
+
+  ensureTable = async () => {
+    if (this.tableReady) return;
+    await this.queryInterface.createTable(this.table, {
+      name: { type: DataTypes.STRING, allowNull: false, primaryKey: true },
+      batch: { type: DataTypes.INTEGER, allowNull: false },
+      migrated_at: { type: DataTypes.DATE, allowNull: false },
+    });
+    this.tableReady = true;
+  };
+
+  // Applied migrations in the order they ran
+  applied = async () => {
+    await this.ensureTable();
+    const rows = await this.queryInterface.select(null, this.table, {
+      order: [
+        ["batch", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+    return rows.map((row) => ({ ...row, batch: Number(row.batch) }));
+  };
+
+  // Every migration file and every applied migration whose file is gone:
+  // [{ name, applied, batch, migratedAt, missing }]
+  status = async () => {
+    const applied = await this.applied();
+    const files = this.files();
+    const names = [
+      ...new Set([...files, ...applied.map((row) => row.name)]),
+    ].sort();
+    return names.map((name) => {
+      const row = applied.find((item) => item.name === name);
+      return {
+        name,
+        applied: row !== undefined,
+        batch: row ? row.batch : null,
+        migratedAt: row ? new Date(row.migrated_at) : null,
+        missing: !files.includes(name),
+      };
+    });
+  };
+
+  pending = async () => {
+    const applied = (await this.applied()).map((row) => row.name);
+    return this.files().filter((name) => !applied.includes(name));
+  };
+
+  load = (name) => {
+    const migration = require(path.join(this.directory, name));
+    if (
+      typeof migration.up != "function" ||
+      typeof migration.down != "function"
+    )
+      throw new MigrationError(`Migration ${name} must export up and down`, {
+        operation: "load",
+      });
+    return migration;
+  };
+
+  run = async (name, direction) => {
+    const migration = this.load(name);
+    try {
+      await migration[direction](this.queryInterface, Sequelize);
+    } catch (error) {
+      throw new MigrationError(
+        `Error running ${direction} of ${name}: ${error.message}`,
+        { cause: error, operation: direction === "up" ? "migrate" : "rollback" }
+      );
+    }
+  };
+
+  // Runs the pending migrations as one batch, resolves with their names.
+  // A failing migration stops the batch, the ones before it stay applied.
+  migrate = async () => {
+    const pending = await this.pending();
+    if (pending.length === 0) return [];
+    const applied = await this.applied();
+    const batch = Math.max(0, ...applied.map((row) => row.batch)) + 1;
+    for (const name of pending) {
+      await this.run(name, "up");
+      await this.queryInterface.bulkInsert(this.table, [
+        { name, batch, migrated_at: new Date() },
+      ]);
+    }
+    return pending;
+  };
+
+  // Undoes the last batches in reverse order, resolves with their names
+  rollback = async ({ steps = 1 } = {}) => {
+    mustBe(steps, "positiveInteger", "rollback", "steps");
+    const applied = await this.applied();
+    const batches = [...new Set(applied.map((row) => row.batch))].slice(-steps);
+    const names = applied
+      .filter((row) => batches.includes(row.batch))
+      .map((row) => row.name)
+      .reverse();
+    for (const name of names) {
+      if (!this.files().includes(name))
+        throw new MigrationError(`Migration file ${name} is missing`, {
+          operation: "rollback",
+        });
+      await this.run(name, "down");
+      await this.queryInterface.bulkDelete(this.table, { name });
+    }
+    return names;
+  };
+
+  // Drops every table of the database, then runs every migration
+  fresh = async () => {
+    await this.queryInterface.dropAllTables();
+    this.tableReady = false;
+    return this.migrate();
+  };
+
+  // Operations turning the live schema into the blueprints
+  diff = async (blueprints) => {
+    return diffSchema(this.sequelize, blueprints, { ignore: [this.table] });
+  };
+
+  // Writes the migration of the blueprints changes not in the database yet,
+  // resolves with its path or null when there is nothing to migrate
+  make = async (name, blueprints) => {
+    mustBe(name, "string", "make", "name");
+    const pending = await this.pending();
+    if (pending.length > 0)
+      throw new MigrationError(
+        `Run the pending migrations first: ${pending.join(", ")}`,
+        { operation: "make" }
+      );
+    const operations = await this.diff(blueprints);
+    if (operations.length === 0) return null;
+    return this.write(name, renderMigration(operations));
+  };
+
+  // Empty up and down to fill by hand
+  makeBlank = (name) => {
+    mustBe(name, "string", "makeBlank", "name");
+    return this.write(
+      name,
+      `"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {},
+
+  down: async (queryInterface, Sequelize) => {},
+};
+`
+    );
+  };
+
+  // Files made within the same second keep their order
+  write = (name, source) => {
+    if (snakeCase(name) === "")
+      throw new MigrationError("Migration name can't be empty", {
+        code: "INVALID_ARGUMENT",
+        operation: "make",
+      });
+    const last = this.files()
+      .map((file) => file.slice(0, 14))
+      .filter((timestamp) => /^\d{14}$/.test(timestamp))
+      .pop();
+    let date = new Date();
+    if (last !== undefined && timestampOf(date) <= last)
+      date = new Date(dateOf(last).getTime() + 1000);
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const file = path.join(
+      this.directory,
+      `${timestampOf(date)}_${snakeCase(name)}.js`
+    );
+    fs.writeFileSync(file, source);
+    return file;
+  };
+}
+
+module.exports = Migrator;
@@ -0,0 +1,77 @@
+const { transaction } = require("../utils/transaction.js");
+const { mustBe } = require("../utils/arguments.js");
+const ModelError = require("../errors/ModelError.js");
+
+// Base of the seed classes. run and call are prototype methods (not arrow
+// fields like elsewhere) so subclasses can override run.
+//
+// class UsersSeeder extends Seeder {
+//   async run() { await userFactory.createMany(10); }
+// }
+class Seeder {
+  // context: { sequelize, transaction, ran } and the context option
+  constructor(context = {}) {
+    this.context = context;
+  }
+
+  async run() {
+    throw new ModelError(`${this.constructor.name} must implement run`);
+  }
+
+  // Runs other seeders in order, inside the same transaction
+  async call(...seeders) {
+    for (const seeder of seeders.flat()) {
+      await runSeeder(seeder, this.context);
+    }
+  }
+}
+
+const nameOf = (seeder) => {
+  if (typeof seeder == "function") return seeder.name || "anonymous seeder";
+  return (seeder.constructor && seeder.constructor.name) || "seeder";
+};
+
+// A seed class, an object with run(context) or a function of the context
+const runSeeder = async (seeder, context) => {
+  mustBe(seeder, "function|object", "runSeeders", "seeder");
+  if (
+    typeof seeder == "function" &&
+    typeof seeder.prototype?.run == "function"
+  ) {
+    await new seeder(context).run(context);
+  } else if (typeof seeder == "function") {
+    await seeder(context);
+  } else if (typeof seeder.run == "function") {
+    await seeder.run(context);
+  } else {
+    throw new ModelError(`${nameOf(seeder)} has no run method`, {
+      code: "INVALID_ARGUMENT",
+      operation: "runSeeders",
+    });
+  }
+  context.ran.push(nameOf(seeder));
+};
+
+// Runs the seeders in order inside one transaction: nothing is kept when one
+// of them throws. Resolves with the names of the seeders that ran. context
+// adds to the context given to the seeders (the models for instance), the
+// other options are the Sequelize transaction options.
+const runSeeders = async (sequelize, seeders, options = {}) => {
+  mustBe(seeders, "array", "runSeeders", "seeders");
+  mustBe(options, "plainObject", "runSeeders", "options");
+  const { context: extra = {}, ...transactionOptions } = options;
+  mustBe(extra, "plainObject", "runSeeders", "context");
+  return transaction(
+    sequelize,
+    async (trx) => {
+      const context = { ...extra, sequelize, transaction: trx, ran: [] };
+      for (const seeder of seeders) {
+        await runSeeder(seeder, context);
+      }
+      return context.ran;
+    },
+    transactionOptions
+  );
+};
+
+module.exports = { Seeder, runSeeders };
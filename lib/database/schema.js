@@ -0,0 +1,344 @@
+const { Sequelize, Utils } = require("sequelize");
+const { pascalCase } = require("../utils/naming.js");
+const { associateBlueprint } = require("../utils/relations.js");
+const ModelError = require("../errors/ModelError.js");
+
+// blueprints: { name: [modelName, attributes, options] } or an array of the
+// tuples, the arguments of sequelize.define. Entries are [name, blueprint],
+// the name is null for arrays.
+const blueprintList = (blueprints) => {
+  if (Array.isArray(blueprints))
+    return blueprints.map((blueprint) => [null, blueprint]);
+  if (typeof blueprints == "object" && blueprints !== null)
+    return Object.entries(blueprints);
+  throw new ModelError("blueprints must be an object or an array of tuples", {
+    code: "INVALID_ARGUMENT",
+  });
+};
+
+// Models defined on a scratch instance of the dialect: timestamps, paranoid
+// and field names are applied by Sequelize itself and the models of the
+// application are left alone. The associations of the fourth element are
+// wired as Sequerizer.boot does, they add the foreign key columns.
+const blueprintModels = (sequelize, blueprints) => {
+  const scratch = new Sequelize({
+    dialect: sequelize.getDialect(),
+    dialectModule: sequelize.options.dialectModule,
+    define: sequelize.options.define,
+    logging: false,
+  });
+  const defined = blueprintList(blueprints).map(([name, blueprint]) => {
+    if (!Array.isArray(blueprint))
+      throw new ModelError(
+        "a blueprint must be a [modelName, attributes, options] tuple",
+        { code: "INVALID_ARGUMENT" }
+      );
+    return { name, blueprint, model: scratch.define(...blueprint.slice(0, 3)) };
+  });
+
+  // A blueprint name ("users") or a model name of sequelize.define
+  const modelOf = (name) => {
+    const found =
+      defined.find(
+        (entry) =>
+          entry.name !== null && pascalCase(entry.name) === pascalCase(name)
+      ) || defined.find((entry) => entry.model.name === name);
+    if (!found)
+      throw new ModelError(
+        `Unknown model ${name}, blueprints: ${defined
+          .map((entry) => entry.name || entry.model.name)
+          .join(", ")}`
+      );
+    return found.model;
+  };
+  defined.forEach(({ name, blueprint, model }) => {
+    const { associations = {} } = blueprint[3] || {};
+    associateBlueprint(name || model.name, model, associations, modelOf);
+  });
+  return defined.map(({ model }) => model);
+};
+
+// Column definitions of a model keyed by column name, as createTable and
+// addColumn take them
+const columnsOf = (model) => {
+  const columns = {};
+  Object.values(model.rawAttributes).forEach((attribute) => {
+    const column = { type: attribute.type };
+    ["allowNull", "defaultValue", "primaryKey", "autoIncrement"].forEach(
+      (key) => {
+        if (attribute[key] !== undefined) column[key] = attribute[key];
+      }
+    );
+    if (attribute.unique) column.unique = attribute.unique;
+    if (attribute.references) {
+      const { model: target } = attribute.references;
+      column.references = {
+        ...attribute.references,
+        model: typeof target == "function" ? target.tableName : target,
+      };
+    }
+    columns[attribute.field] = column;
+  });
+  return columns;
+};
+
+// describeTable output as a column definition, the type stays SQL
+const describedColumn = (described) => {
+  const column = { type: described.type, allowNull: described.allowNull };
+  if (described.defaultValue !== undefined && described.defaultValue !== null)
+    column.defaultValue = described.defaultValue;
+  return column;
+};
+
+// Spellings of the same type across dialects and describeTable
+const typeAliases = {
+  INT: "INTEGER",
+  INT4: "INTEGER",
+  INT8: "BIGINT",
+  BOOL: "BOOLEAN",
+  "TINYINT(1)": "BOOLEAN",
+  "CHARACTER VARYING": "VARCHAR",
+  "TIMESTAMP WITH TIME ZONE": "DATETIME",
+  TIMESTAMPTZ: "DATETIME",
+  TIMESTAMP: "DATETIME",
+};
+
+const baseType = (type) => {
+  const sql = String(type).toUpperCase().trim();
+  if (typeAliases[sql]) return typeAliases[sql];
+  const base = sql.replace(/\(.*$/, "").replace(/ UNSIGNED| ZEROFILL/g, "");
+  return typeAliases[base] || base;
+};
+
+// Only the base type and the nullability are compared, lengths and default
+// values are spelled too differently by each dialect to be diffed reliably
+const columnChanged = (column, described) => {
+  const expected = baseType(
+    typeof column.type == "string" ? column.type : column.type.toSql()
+  );
+  const actual = baseType(described.type);
+  const typeChanged =
+    actual !== "USER-DEFINED" && !expected.startsWith("ENUM")
+      ? expected !== actual
+      : false;
+  return typeChanged || (column.allowNull !== false) !== described.allowNull;
+};
+
+const tableNames = async (queryInterface) => {
+  const tables = await queryInterface.showAllTables();
+  return tables.map((table) =>
+    typeof table == "string" ? table : table.tableName
+  );
+};
+
+// Models ordered so the tables they reference come first, createTable and
+// addColumn can't point to a table created later. Cycles keep the blueprint
+// order.
+const referenceOrder = (models) => {
+  const byTable = new Map(models.map((model) => [model.tableName, model]));
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (model) => {
+    if (visiting.has(model)) return;
+    visiting.add(model);
+    Object.values(model.rawAttributes).forEach(({ references }) => {
+      const target = references && references.model;
+      const table = typeof target == "function" ? target.tableName : target;
+      if (byTable.has(table)) visit(byTable.get(table));
+    });
+    ordered.push(model);
+  };
+  models.forEach(visit);
+  return ordered;
+};
+
+// Operations bringing the live schema to the blueprints, each one with its
+// reverse: createTable, addColumn, removeColumn, changeColumn and addIndex.
+// Tables without a blueprint are left alone.
+const diffSchema = async (sequelize, blueprints, options = {}) => {
+  const { ignore = [] } = options;
+  const queryInterface = sequelize.getQueryInterface();
+  const existing = await tableNames(queryInterface);
+  const operations = [];
+
+  for (const model of referenceOrder(blueprintModels(sequelize, blueprints))) {
+    const table = model.tableName;
+    if (ignore.includes(table)) continue;
+    const columns = columnsOf(model);
+
+    if (!existing.includes(table)) {
+      operations.push({ type: "createTable", table, columns });
+      model._indexes.forEach((index) => {
+        operations.push({ type: "addIndex", table, index });
+      });
+      continue;
+    }
+
+    const described = await queryInterface.describeTable(table);
+    Object.entries(columns).forEach(([column, definition]) => {
+      if (!described.hasOwnProperty(column)) {
+        operations.push({ type: "addColumn", table, column, definition });
+      } else if (
+        !definition.primaryKey &&
+        columnChanged(definition, described[column])
+      ) {
+        operations.push({
+          type: "changeColumn",
+          table,
+          column,
+          definition,
+          previous: describedColumn(described[column]),
+        });
+      }
+    });
+    Object.entries(described).forEach(([column, previous]) => {
+      if (!columns.hasOwnProperty(column))
+        operations.push({
+          type: "removeColumn",
+          table,
+          column,
+          previous: describedColumn(previous),
+        });
+    });
+
+    const indexes = (await queryInterface.showIndex(table)).map(
+      (index) => index.name
+    );
+    model._indexes
+      .filter((index) => !indexes.includes(index.name))
+      .forEach((index) => {
+        operations.push({ type: "addIndex", table, index });
+      });
+  }
+  return operations;
+};
+
+// JavaScript source of a value of a column definition, data types become
+// Sequelize.TYPE or Sequelize.TYPE(options)
+const renderValue = (value, indent = "") => {
+  const inner = `${indent}  `;
+  if (value === undefined) return "undefined";
+  if (value === null) return "null";
+  if (value instanceof Date) return `new Date(${JSON.stringify(value)})`;
+  if (value instanceof Utils.Literal)
+    return `Sequelize.literal(${JSON.stringify(value.val)})`;
+  if (value instanceof Utils.Fn)
+    return `Sequelize.fn(${[value.fn, ...value.args]
+      .map((item) => renderValue(item, indent))
+      .join(", ")})`;
+  if (value instanceof Sequelize.ABSTRACT) {
+    if (value.key === "NOW") return "Sequelize.NOW";
+    const options = Object.entries(value.options || {}).filter(
+      ([, option]) => option !== undefined
+    );
+    if (options.length === 0) return `Sequelize.${value.key}`;
+    return `Sequelize.${value.key}(${renderValue(
+      Object.fromEntries(options),
+      indent
+    )})`;
+  }
+  if (Array.isArray(value))
+    return `[${value.map((item) => renderValue(item, indent)).join(", ")}]`;
+  if (typeof value == "object") {
+    const entries = Object.entries(value).filter(
+      ([, item]) => item !== undefined
+    );
+    if (entries.length === 0) return "{}";
+    return `{\n${entries
+      .map(
+        ([key, item]) =>
+          `${inner}${
+            /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+          }: ${renderValue(item, inner)},`
+      )
+      .join("\n")}\n${indent}}`;
+  }
+  if (typeof value == "bigint") return `${value}n`;
+  if (typeof value == "function" || typeof value == "symbol")
+    throw new ModelError(`Can't write ${String(value)} into a migration`);
+  return JSON.stringify(value);
+};
+
+const indexName = (index) => JSON.stringify(index.name);
+
+const indexDefinition = (index) => {
+  const definition = { name: index.name, fields: index.fields };
+  ["unique", "type", "using", "where"].forEach((key) => {
+    if (index[key]) definition[key] = index[key];
+  });
+  return definition;
+};
+
+// Statements of the up and down functions of an operation
+const renderOperation = (operation, indent) => {
+  const { type, column } = operation;
+  const table = JSON.stringify(operation.table);
+  const name = JSON.stringify(column);
+  const value = (item) => renderValue(item, indent);
+  switch (type) {
+    case "createTable":
+      return {
+        up: `await queryInterface.createTable(${table}, ${value(
+          operation.columns
+        )});`,
+        down: `await queryInterface.dropTable(${table});`,
+      };
+    case "addColumn":
+      return {
+        up: `await queryInterface.addColumn(${table}, ${name}, ${value(
+          operation.definition
+        )});`,
+        down: `await queryInterface.removeColumn(${table}, ${name});`,
+      };
+    case "removeColumn":
+      return {
+        up: `await queryInterface.removeColumn(${table}, ${name});`,
+        down: `await queryInterface.addColumn(${table}, ${name}, ${value(
+          operation.previous
+        )});`,
+      };
+    case "changeColumn":
+      return {
+        up: `await queryInterface.changeColumn(${table}, ${name}, ${value(
+          operation.definition
+        )});`,
+        down: `await queryInterface.changeColumn(${table}, ${name}, ${value(
+          operation.previous
+        )});`,
+      };
+    case "addIndex":
+      return {
+        up: `await queryInterface.addIndex(${table}, ${value(
+          indexDefinition(operation.index)
+        )});`,
+        down: `await queryInterface.removeIndex(${table}, ${indexName(
+          operation.index
+        )});`,
+      };
+    default:
+      throw new ModelError(`Unknown migration operation ${type}`);
+  }
+};
+
+// Source of a migration file, down undoes the operations in reverse
+const renderMigration = (operations) => {
+  const indent = "    ";
+  const statements = operations.map((operation) =>
+    renderOperation(operation, indent)
+  );
+  const body = (lines) => lines.map((line) => `${indent}${line}`).join("\n");
+  return `"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+${body(statements.map(({ up }) => up))}
+  },
+
+  down: async (queryInterface, Sequelize) => {
+${body(statements.map(({ down }) => down).reverse())}
+  },
+};
+`;
+};
+
+module.exports = { blueprintModels, diffSchema, renderMigration };
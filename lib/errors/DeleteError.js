@@ -1,15 +1,7 @@
 const ModelError = require("./ModelError");
 
 class DeleteError extends ModelError {
-  constructor(message, statusCode = 500) {
-    super(message);
-    this.name = this.constructor.name;
-    this.statusCode = statusCode;
-
-    if (Error.captureStackTrace) {
-      Error.captureStackTrace(this, this.constructor);
-    }
-  }
+  static defaults = { code: "DELETE_ERROR", statusCode: 500 };
 }
 
 module.exports = DeleteError;
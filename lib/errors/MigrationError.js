@@ -0,0 +1,7 @@
+const ModelError = require("./ModelError");
+
+class MigrationError extends ModelError {
+  static defaults = { code: "MIGRATION_ERROR", statusCode: 500 };
+}
+
+module.exports = MigrationError;
@@ -1,13 +1,63 @@
+// Status and code derived from the original Sequelize error
+const fromCause = (cause) => {
+  switch (cause && cause.name) {
+    case "SequelizeUniqueConstraintError":
+      return { code: "UNIQUE_VIOLATION", statusCode: 409 };
+    case "SequelizeValidationError":
+      return { code: "VALIDATION_FAILED", statusCode: 422 };
+    case "SequelizeForeignKeyConstraintError":
+      return { code: "FOREIGN_KEY_VIOLATION", statusCode: 409 };
+    default:
+      return {};
+  }
+};
+
+// Per field details of SequelizeValidationError and UniqueConstraintError
+const detailsFrom = (cause) => {
+  if (!cause || !Array.isArray(cause.errors)) return [];
+  return cause.errors.map((item) => ({
+    field: item.path,
+    message: item.message,
+    type: item.validatorKey || item.type,
+  }));
+};
+
 class ModelError extends Error {
-  constructor(message, statusCode = 500) {
-    super(message);
+  static defaults = { code: "MODEL_ERROR", statusCode: 500 };
+
+  // context: { code, statusCode, cause, identifier, operation, options,
+  // details }, a number is still accepted as the status code
+  constructor(message, context = {}) {
+    if (typeof context == "number") context = { statusCode: context };
+    const { cause, ...rest } = context;
+    super(message, cause === undefined ? undefined : { cause });
     this.name = this.constructor.name;
-    this.statusCode = statusCode;
+
+    const defaults = { ...this.constructor.defaults, ...fromCause(cause) };
+    this.code = rest.code || defaults.code;
+    this.statusCode = rest.statusCode || defaults.statusCode;
+    this.identifier = rest.identifier || null;
+    this.operation = rest.operation || null;
+    this.options = rest.options || null;
+    this.details = rest.details || detailsFrom(cause);
 
     if (Error.captureStackTrace) {
       Error.captureStackTrace(this, this.constructor);
     }
   }
+
+  // Safe for API responses: the cause and the built options are left out
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      statusCode: this.statusCode,
+      identifier: this.identifier,
+      operation: this.operation,
+      details: this.details,
+    };
+  }
 }
 
 module.exports = ModelError;
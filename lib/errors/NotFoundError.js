@@ -1,15 +1,7 @@
 const ModelError = require("./ModelError");
 
 class NotFoundError extends ModelError {
-  constructor(message, statusCode = 404) {
-    super(message);
-    this.name = this.constructor.name;
-    this.statusCode = statusCode;
-
-    if (Error.captureStackTrace) {
-      Error.captureStackTrace(this, this.constructor);
-    }
-  }
+  static defaults = { code: "NOT_FOUND", statusCode: 404 };
 }
 
 module.exports = NotFoundError;
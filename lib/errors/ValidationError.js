@@ -0,0 +1,7 @@
+const ModelError = require("./ModelError");
+
+class ValidationError extends ModelError {
+  static defaults = { code: "VALIDATION_FAILED", statusCode: 422 };
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,102 @@
+const { mustBe } = require("./utils/arguments.js");
+const ModelError = require("./errors/ModelError.js");
+
+// JSON problem response (RFC 7807) of a ModelError. Messages of 5xx errors
+// come from the database, they are hidden unless expose is true.
+const toProblem = (error, { expose = false } = {}) => {
+  const { statusCode, ...json } = error.toJSON();
+  const hidden = statusCode >= 500 && !expose;
+  return {
+    type: "about:blank",
+    title: error.name,
+    status: statusCode,
+    detail: hidden ? "Internal Server Error" : error.message,
+    ...json,
+    message: hidden ? "Internal Server Error" : json.message,
+  };
+};
+
+// Express error handler, errors outside the ModelError hierarchy are passed on
+// and so are errors of a response already being sent, Express closes it
+const sequerizerErrorHandler = (options = {}) => {
+  const { onError = null } = options;
+  return (error, req, res, next) => {
+    if (!(error instanceof ModelError) || res.headersSent) return next(error);
+    if (onError !== null) onError(error, req);
+
+    res
+      .status(error.statusCode)
+      .type("application/problem+json")
+      .send(JSON.stringify(toProblem(error, options)));
+  };
+};
+
+// Koa flavour, register it before the routes
+const sequerizerKoaErrorHandler = (options = {}) => {
+  const { onError = null } = options;
+  return async (ctx, next) => {
+    try {
+      await next();
+    } catch (error) {
+      if (!(error instanceof ModelError)) throw error;
+      if (onError !== null) onError(error, ctx);
+
+      ctx.status = error.statusCode;
+      ctx.type = "application/problem+json";
+      ctx.body = toProblem(error, options);
+    }
+  };
+};
+
+const bindingQuery = (model, query) => {
+  const base = query === null ? model.query() : query(model.query());
+  return base.withError();
+};
+
+// A param missing from the route is a wiring mistake, not a missing record
+const routeParam = (params, param, method) => {
+  const value = (params || {})[param];
+  if (value === undefined)
+    throw new ModelError(
+      `${method} needs the route param ${param}, got: ${
+        Object.keys(params || {}).join(", ") || "none"
+      }`,
+      { code: "MISSING_ROUTE_PARAM", operation: method }
+    );
+  return value;
+};
+
+// Load req.params[param] with find and attach it as req[as], a missing record
+// is handed to the error handler as NotFoundError
+const bindModel = (model, param = "id", options = {}) => {
+  mustBe(param, "string", "bindModel", "param");
+  const { as = "record", query = null } = options;
+  return async (req, res, next) => {
+    try {
+      const value = routeParam(req.params, param, "bindModel");
+      req[as] = await bindingQuery(model, query).find(value);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Koa flavour, the record is attached as ctx.state[as]
+const bindModelKoa = (model, param = "id", options = {}) => {
+  mustBe(param, "string", "bindModelKoa", "param");
+  const { as = "record", query = null } = options;
+  return async (ctx, next) => {
+    const value = routeParam(ctx.params, param, "bindModelKoa");
+    ctx.state[as] = await bindingQuery(model, query).find(value);
+    await next();
+  };
+};
+
+module.exports = {
+  toProblem,
+  sequerizerErrorHandler,
+  sequerizerKoaErrorHandler,
+  bindModel,
+  bindModelKoa,
+};
@@ -0,0 +1,118 @@
+const { Sequerizer } = require("../Sequerizer.js");
+const { defineFactory } = require("../database/Factory.js");
+const { transaction } = require("../utils/transaction.js");
+const { mustBe } = require("../utils/arguments.js");
+const ModelError = require("../errors/ModelError.js");
+const { testConnection } = require("./connection.js");
+
+// Thrown at the end of an isolated callback so its transaction rolls back
+const rollback = Symbol("rollback");
+
+// Database of a test suite: one connection, a Sequerizer per blueprint and
+// helpers to fill the tables, with fixtures or factories. blueprints: { name: [modelName, attributes,
+// options] }, the arguments of sequelize.define.
+class TestHarness {
+  constructor(options = {}) {
+    mustBe(options, "plainObject", "TestHarness", "options");
+    const { blueprints = {}, sequelize = null, ...connection } = options;
+    mustBe(blueprints, "plainObject", "TestHarness", "blueprints");
+
+    this.sequelize = sequelize || testConnection(connection);
+    this.models = {};
+    Object.entries(blueprints).forEach(([name, blueprint]) => {
+      this.define(name, blueprint);
+    });
+  }
+
+  // Defines the model of a blueprint, config is the Sequerizer config
+  define = (name, blueprint, config = {}) => {
+    mustBe(name, "string", "define", "name");
+    mustBe(blueprint, "array", "define", "blueprint");
+    mustBe(config, "plainObject", "define", "config");
+    this.models[name] = new Sequerizer(
+      this.sequelize.define(...blueprint),
+      config
+    );
+    return this.models[name];
+  };
+
+  model = (name) => {
+    mustBe(name, "string", "model", "name");
+    if (!this.models.hasOwnProperty(name))
+      throw new ModelError(
+        `Unknown blueprint ${name}, defined: ${Object.keys(this.models).join(
+          ", "
+        )}`
+      );
+    return this.models[name];
+  };
+
+  // Connects and creates the missing tables, force drops them first
+  setup = async ({ force = false } = {}) => {
+    try {
+      await this.sequelize.authenticate();
+    } catch (error) {
+      throw new ModelError(
+        `Unable to connect to the test database: ${error.message}`,
+        { cause: error, operation: "setup" }
+      );
+    }
+    await this.sequelize.sync({ force });
+  };
+
+  teardown = async () => {
+    await this.sequelize.close();
+  };
+
+  // Test callback running inside a transaction that is always rolled back,
+  // queries of Sequerizer join it without passing it around:
+  // it("...", harness.isolated(async (transaction) => {}))
+  isolated = (callback) => {
+    mustBe(callback, "function", "isolated", "callback");
+    return async () => {
+      let result;
+      try {
+        await transaction(this.sequelize, async (trx) => {
+          result = await callback(trx);
+          throw rollback;
+        });
+      } catch (error) {
+        if (error !== rollback) throw error;
+      }
+      return result;
+    };
+  };
+
+  // Inserts the rows of each blueprint in the given order through
+  // Sequerizer.insert: { users: [...], posts: [...] }. Returns the created
+  // instances by blueprint.
+  fixtures = async (fixtures) => {
+    mustBe(fixtures, "plainObject", "fixtures", "fixtures");
+    const created = {};
+    for (const [name, rows] of Object.entries(fixtures)) {
+      created[name] = await this.seed(name, rows);
+    }
+    return created;
+  };
+
+  seed = async (name, rows) => {
+    mustBe(rows, "plainObject|array", "seed", "rows");
+    return this.model(name).insert(rows);
+  };
+
+  // Factory of a blueprint model, see defineFactory:
+  // harness.factory("users", ({ sequence }) => ({ phone: `0800${sequence}` }))
+  factory = (name, definition, options = {}) => {
+    return defineFactory(this.model(name), definition, options);
+  };
+
+  // Empties the given blueprints, every one without names
+  truncate = async (...names) => {
+    const targets = names.length > 0 ? names : Object.keys(this.models);
+    for (const name of targets) {
+      await this.model(name).truncate();
+    }
+  };
+}
+
+module.exports = TestHarness;
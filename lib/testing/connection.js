@@ -0,0 +1,47 @@
+const { Sequelize } = require("sequelize");
+const ModelError = require("../errors/ModelError.js");
+
+const dialects = ["sqlite", "mysql", "mariadb", "postgres"];
+
+const servers = {
+  mysql: { port: 3306, username: "root" },
+  mariadb: { port: 3306, username: "root" },
+  postgres: { port: 5432, username: "postgres" },
+};
+
+// Sequelize options of the test database. SEQUERIZER_TEST_URL wins, then
+// SEQUERIZER_TEST_DIALECT with SEQUERIZER_TEST_HOST, _PORT, _DATABASE,
+// _USERNAME and _PASSWORD. Without them it is an in-memory SQLite database.
+const connectionOptions = (env = process.env) => {
+  if (env.SEQUERIZER_TEST_URL) return { url: env.SEQUERIZER_TEST_URL };
+
+  const dialect = env.SEQUERIZER_TEST_DIALECT || "sqlite";
+  if (!dialects.includes(dialect))
+    throw new ModelError(
+      `Unknown SEQUERIZER_TEST_DIALECT ${dialect}, available: ${dialects.join(
+        ", "
+      )}`
+    );
+  if (dialect === "sqlite")
+    return { dialect, storage: env.SEQUERIZER_TEST_STORAGE || ":memory:" };
+
+  return {
+    dialect,
+    host: env.SEQUERIZER_TEST_HOST || "127.0.0.1",
+    port: Number(env.SEQUERIZER_TEST_PORT || servers[dialect].port),
+    database: env.SEQUERIZER_TEST_DATABASE || "sequerizer",
+    username: env.SEQUERIZER_TEST_USERNAME || servers[dialect].username,
+    password: env.SEQUERIZER_TEST_PASSWORD || "",
+  };
+};
+
+// options are merged over the environment, logging is off unless given
+const testConnection = (options = {}) => {
+  const { url = null, ...rest } = { ...connectionOptions(), ...options };
+  const sequelizeOptions = { logging: false, ...rest };
+  return url === null
+    ? new Sequelize(sequelizeOptions)
+    : new Sequelize(url, sequelizeOptions);
+};
+
+module.exports = { connectionOptions, testConnection };
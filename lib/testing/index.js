@@ -0,0 +1,22 @@
+const TestHarness = require("./TestHarness.js");
+const { Factory, defineFactory } = require("../database/Factory.js");
+const { connectionOptions, testConnection } = require("./connection.js");
+
+// Harness connected before the tests of the file and closed after them,
+// needs the beforeAll and afterAll globals of Jest (or a compatible runner)
+const useHarness = (options = {}) => {
+  const { force = false, ...rest } = options;
+  const harness = new TestHarness(rest);
+  beforeAll(() => harness.setup({ force }));
+  afterAll(() => harness.teardown());
+  return harness;
+};
+
+module.exports = {
+  TestHarness,
+  useHarness,
+  connectionOptions,
+  testConnection,
+  Factory,
+  defineFactory,
+};
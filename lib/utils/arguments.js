@@ -0,0 +1,82 @@
+const ModelError = require("../errors/ModelError.js");
+
+const isPlainObject = (value) => {
+  if (typeof value != "object" || value === null) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// name: [check, description used in error messages]
+const types = {
+  undefined: [(value) => value === undefined, "undefined"],
+  null: [(value) => value === null, "null"],
+  boolean: [(value) => typeof value == "boolean", "a boolean"],
+  number: [
+    (value) => typeof value == "number" && !Number.isNaN(value),
+    "a number",
+  ],
+  bigint: [(value) => typeof value == "bigint", "a bigint"],
+  string: [(value) => typeof value == "string", "a string"],
+  symbol: [(value) => typeof value == "symbol", "a symbol"],
+  function: [(value) => typeof value == "function", "a function"],
+  object: [(value) => typeof value == "object" && value !== null, "an object"],
+  array: [(value) => Array.isArray(value), "an array"],
+  plainObject: [isPlainObject, "a plain object"],
+  integer: [(value) => Number.isInteger(value), "an integer"],
+  nonNegative: [
+    (value) => typeof value == "number" && value >= 0,
+    "a non negative number",
+  ],
+  nonNegativeInteger: [
+    (value) => Number.isInteger(value) && value >= 0,
+    "a non negative integer",
+  ],
+  positiveInteger: [
+    (value) => Number.isInteger(value) && value > 0,
+    "a positive integer",
+  ],
+};
+
+// "string|array" is a union, "?plainObject" is short for "plainObject|null"
+const membersOf = (type) => {
+  const nullable = type.startsWith("?");
+  const members = (nullable ? type.slice(1) : type).split("|");
+  if (nullable) members.push("null");
+  members.forEach((name) => {
+    if (!types.hasOwnProperty(name))
+      throw new ModelError(
+        `Unknown argument type ${name}, available: ${Object.keys(types).join(
+          ", "
+        )}`
+      );
+  });
+  return members;
+};
+
+const matches = (value, type) => {
+  return membersOf(type).some((name) => types[name][0](value));
+};
+
+const describe = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value == "number" && Number.isNaN(value)) return "NaN";
+  if (typeof value == "object" && !isPlainObject(value))
+    return (value.constructor && value.constructor.name) || "object";
+  return typeof value;
+};
+
+// Public methods check their arguments with it, the message names the method
+// and the parameter: "whereIn expects values to be an array, got object"
+const mustBe = (value, type, method, parameter) => {
+  const members = membersOf(type);
+  if (members.some((name) => types[name][0](value))) return value;
+  throw new ModelError(
+    `${method} expects ${parameter} to be ${members
+      .map((name) => types[name][1])
+      .join(" or ")}, got ${describe(value)}`,
+    { code: "INVALID_ARGUMENT", operation: method }
+  );
+};
+
+module.exports = { types, matches, mustBe };
@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+
+// Store used by every Sequerizer without a cache option, see
+// Sequerizer.useCache
+const defaults = { store: null };
+
+// Options that don't change the rows returned
+const ignoredOptions = ["transaction", "logging", "benchmark"];
+
+// JSON friendly copy of the built options: symbols (Op) become strings,
+// models their names and circular references are cut
+const normalize = (value, seen = new WeakSet()) => {
+  if (typeof value == "symbol") return value.toString();
+  if (typeof value == "bigint") return `${value}n`;
+  if (typeof value == "function") return `[function ${value.name}]`;
+  if (value === null || typeof value != "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof RegExp) return value.toString();
+  if (seen.has(value)) return "[circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((item) => normalize(item, seen));
+  const normalized = {};
+  if (value.constructor && value.constructor !== Object)
+    normalized["[type]"] = value.constructor.name;
+  Reflect.ownKeys(value)
+    .filter((key) => !ignoredOptions.includes(key))
+    .forEach((key) => {
+      normalized[key.toString()] = normalize(value[key], seen);
+    });
+  return normalized;
+};
+
+const hashOptions = (options) => {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(normalize(options)))
+    .digest("hex");
+};
+
+// A tag holds a random version, changing it makes every key built with the
+// previous version unreachable. A missing (evicted) tag gets a new version.
+const tagKey = (tag) => `sequerizer:tag:${tag}`;
+
+const newVersion = () => crypto.randomBytes(8).toString("hex");
+
+const tagVersion = async (store, tag) => {
+  const version = await store.get(tagKey(tag));
+  if (version !== undefined && version !== null) return version;
+  const created = newVersion();
+  await store.set(tagKey(tag), created, null);
+  return created;
+};
+
+const flushTag = async (store, tag) => {
+  await store.set(tagKey(tag), newVersion(), null);
+};
+
+// Stores holding reads tagged with a tag. Models can each have their own
+// store, a write flushes its tag in every store that read it.
+const readers = new Map();
+
+const watchTag = (store, tag) => {
+  if (!readers.has(tag)) readers.set(tag, new Set());
+  readers.get(tag).add(store);
+};
+
+const storesReading = (tag) => [...(readers.get(tag) || [])];
+
+// Instances are stored as plain values and built again on a hit
+const dehydrate = (result) => {
+  if (Array.isArray(result)) return result.map(dehydrate);
+  if (result !== null && typeof result.get == "function")
+    return result.get({ plain: true });
+  return result;
+};
+
+const associationOf = (model, include) => {
+  if (typeof include.association == "string")
+    return model.associations[include.association];
+  if (include.association) return include.association;
+  return Object.values(model.associations).find(
+    (association) =>
+      association.target === include.model &&
+      (include.as === undefined || association.as === include.as)
+  );
+};
+
+// JSON turns dates into strings, turn them back for model and includes
+const reviveDates = (model, values, include = []) => {
+  if (values === null || typeof values != "object") return values;
+  Object.entries(model.rawAttributes).forEach(([name, attribute]) => {
+    if (attribute.type.key === "DATE" && typeof values[name] == "string")
+      values[name] = new Date(values[name]);
+  });
+  include.forEach((child) => {
+    const association = associationOf(model, child);
+    if (!association) return;
+    const related = values[association.as];
+    if (Array.isArray(related)) {
+      related.forEach((row) =>
+        reviveDates(association.target, row, child.include)
+      );
+    } else {
+      reviveDates(association.target, related, child.include);
+    }
+  });
+  return values;
+};
+
+const hydrate = (model, cached, options) => {
+  const build = (values) => {
+    if (options.raw || values === null || typeof values != "object")
+      return values;
+    const include = options.include || [];
+    reviveDates(model, values, include);
+    return model.build(values, {
+      isNewRecord: false,
+      raw: true,
+      ...(include.length > 0 ? { include } : {}),
+    });
+  };
+  return Array.isArray(cached) ? cached.map(build) : build(cached);
+};
+
+module.exports = {
+  defaults,
+  hashOptions,
+  tagVersion,
+  flushTag,
+  watchTag,
+  storesReading,
+  dehydrate,
+  hydrate,
+};
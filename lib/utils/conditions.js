@@ -0,0 +1,67 @@
+const { Op } = require("sequelize");
+const ModelError = require("../errors/ModelError.js");
+
+const operators = {
+  "=": Op.eq,
+  "!=": Op.ne,
+  "<>": Op.ne,
+  ">": Op.gt,
+  ">=": Op.gte,
+  "<": Op.lt,
+  "<=": Op.lte,
+  like: Op.like,
+  "not like": Op.notLike,
+  ilike: Op.iLike,
+  "not ilike": Op.notILike,
+  in: Op.in,
+  "not in": Op.notIn,
+  between: Op.between,
+  "not between": Op.notBetween,
+  is: Op.is,
+  "is not": Op.not,
+};
+
+const operatorFor = (operator) => {
+  const key = typeof operator == "string" ? operator.toLowerCase() : operator;
+  if (!operators.hasOwnProperty(key))
+    throw new ModelError(
+      `Unknown operator ${operator}, available: ${Object.keys(operators).join(
+        ", "
+      )}`
+    );
+  return operators[key];
+};
+
+// Merge "and" conditions into one plain object as long as they don't touch the
+// same key, otherwise keep every condition under Op.and
+const mergeConditions = (conditions) => {
+  const merged = {};
+  for (const condition of conditions) {
+    const overlaps = Reflect.ownKeys(condition).some((key) =>
+      merged.hasOwnProperty(key)
+    );
+    if (overlaps) return { [Op.and]: conditions };
+    Object.assign(merged, condition);
+  }
+  return merged;
+};
+
+// wheres is a list of { boolean: "and" | "or", condition }, "or" starts a new
+// group just like SQL precedence: a AND b OR c => (a AND b) OR c
+const compileWheres = (wheres) => {
+  const groups = [];
+  wheres.forEach(({ boolean, condition }, index) => {
+    if (index === 0 || boolean === "or") {
+      groups.push([condition]);
+    } else {
+      groups[groups.length - 1].push(condition);
+    }
+  });
+
+  const compiled = groups.map(mergeConditions);
+  if (compiled.length === 0) return {};
+  if (compiled.length === 1) return compiled[0];
+  return { [Op.or]: compiled };
+};
+
+module.exports = { operators, operatorFor, compileWheres };
@@ -0,0 +1,28 @@
+const ModelError = require("../errors/ModelError.js");
+
+// Cursors are opaque to the client: base64url encoded JSON of the ordered
+// column values of the edge row and the direction to continue
+const encodeCursor = (values, direction) => {
+  return Buffer.from(JSON.stringify({ values, direction })).toString(
+    "base64url"
+  );
+};
+
+const decodeCursor = (cursor, length) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new ModelError("Invalid cursor given to cursorPaginate method");
+  }
+  if (
+    decoded === null ||
+    !Array.isArray(decoded.values) ||
+    decoded.values.length !== length ||
+    !["next", "prev"].includes(decoded.direction)
+  )
+    throw new ModelError("Invalid cursor given to cursorPaginate method");
+  return decoded;
+};
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,33 @@
+const ModelError = require("../errors/ModelError.js");
+
+const events = [
+  "retrieved",
+  "saving",
+  "creating",
+  "created",
+  "updating",
+  "updated",
+  "deleting",
+  "deleted",
+];
+
+const mustBeAnEvent = (event, method) => {
+  if (!events.includes(event))
+    throw new ModelError(
+      `Unknown hook event ${event}, available: ${events.join(", ")}`,
+      { code: "INVALID_ARGUMENT", operation: method }
+    );
+};
+
+// Listeners run in order and may be async. Returning false stops the chain,
+// returning any other value replaces the payload given to the next listener.
+const runHooks = async (listeners, event, payload, context) => {
+  for (const listener of listeners[event] || []) {
+    const result = await listener(payload, context);
+    if (result === false) return false;
+    if (result !== undefined && result !== true) payload = result;
+  }
+  return payload;
+};
+
+module.exports = { events, mustBeAnEvent, runHooks };
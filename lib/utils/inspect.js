@@ -0,0 +1,13 @@
+const ModelError = require("../errors/ModelError.js");
+const { matches } = require("./arguments.js");
+
+// validator utility kept for Sequerizer.inspect, every call returns its own
+// inspector so nothing is shared. Accepts the types of arguments.js.
+const inspect = (value) => ({
+  mustBeAn: (type, messageIfError = "Type Error") => {
+    if (!matches(value, type))
+      throw new ModelError(messageIfError, { code: "INVALID_ARGUMENT" });
+  },
+});
+
+module.exports = inspect;
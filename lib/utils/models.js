@@ -0,0 +1,14 @@
+// Sequerizer of each Sequelize model, used when a query reaches a related
+// model (with, withCount, whereHas, nested output) so its scopes and output
+// config apply. The first Sequerizer created for a model is kept.
+const sequerizers = new WeakMap();
+
+const register = (sequerizer) => {
+  const { table } = sequerizer;
+  if (typeof table != "object" && typeof table != "function") return;
+  if (!sequerizers.has(table)) sequerizers.set(table, sequerizer);
+};
+
+const sequerizerOf = (model) => sequerizers.get(model) || null;
+
+module.exports = { register, sequerizerOf };
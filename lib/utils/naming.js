@@ -0,0 +1,19 @@
+// "Create users table" or "BlogPosts" -> "create_users_table", "blog_posts"
+const snakeCase = (name) => {
+  return name
+    .replace(/([a-z\d])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z\d]+/g, "_")
+    .replace(/^_|_$/g, "")
+    .toLowerCase();
+};
+
+// "blog_posts" or "blog posts" -> "BlogPosts"
+const pascalCase = (name) => {
+  return snakeCase(name)
+    .split("_")
+    .filter((part) => part !== "")
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+};
+
+module.exports = { snakeCase, pascalCase };
@@ -0,0 +1,31 @@
+// With benchmark on, Sequelize logs "Executed (connection): SQL"
+const executedSql = (message) => {
+  return message.replace(/^Execut(?:ed|ing) \([^)]*\): /, "");
+};
+
+// Sequelize options timing the queries of a Sequerizer, empty unless its
+// query log or a slow query listener is on. The logging function configured
+// on the Sequelize instance keeps receiving every query.
+const loggingOptions = (sequerizer) => {
+  const { queryLog = null, slowQueryListeners = [] } = sequerizer;
+  if (queryLog === null && slowQueryListeners.length === 0) return {};
+
+  const fallback = sequerizer.table.sequelize.options.logging;
+  return {
+    benchmark: true,
+    logging: (message, time, ...rest) => {
+      const entry = {
+        sql: executedSql(message),
+        time,
+        identifier: sequerizer.identifier,
+      };
+      if (sequerizer.queryLog !== null) sequerizer.queryLog.push(entry);
+      slowQueryListeners.forEach(({ threshold, callback }) => {
+        if (time >= threshold) callback(entry);
+      });
+      if (typeof fallback == "function") fallback(message, time, ...rest);
+    },
+  };
+};
+
+module.exports = { loggingOptions };
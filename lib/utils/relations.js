@@ -0,0 +1,100 @@
+const { Op, Utils, col, literal } = require("sequelize");
+const ModelError = require("../errors/ModelError.js");
+
+// Resolve "posts.comments" into the chain of associations starting at model
+const resolveRelationPath = (model, path) => {
+  if (typeof path != "string" || path.length === 0)
+    throw new ModelError("Relation name must be a non empty string");
+
+  const associations = [];
+  let current = model;
+  path.split(".").forEach((name) => {
+    const association = current.associations[name];
+    if (!association)
+      throw new ModelError(
+        `Relation ${name} is not defined on ${current.name}`
+      );
+    associations.push(association);
+    current = association.target;
+  });
+  return associations;
+};
+
+// Standalone SELECT of model, the options use attribute names like findAll
+const selectSql = (model, options) => {
+  const queryGenerator = model.sequelize.getQueryInterface().queryGenerator;
+  const mapped = Utils.mapOptionFieldNames({ ...options }, model);
+  return queryGenerator
+    .selectQuery(model.getTableName(), mapped, model)
+    .replace(/;$/, "");
+};
+
+// Condition on the related table tying it to the parent row aliased sourceAlias
+const relationCondition = (association, sourceAlias) => {
+  const parent = (field) => ({ [Op.eq]: col(`${sourceAlias}.${field}`) });
+
+  switch (association.associationType) {
+    case "HasMany":
+    case "HasOne":
+      return {
+        [association.foreignKey]: parent(association.sourceKeyField),
+      };
+    case "BelongsTo":
+      return {
+        [association.targetKey]: parent(association.identifierField),
+      };
+    case "BelongsToMany": {
+      const pivot = selectSql(association.through.model, {
+        attributes: [association.otherKey],
+        where: {
+          [association.foreignKey]: parent(association.sourceKeyField),
+        },
+      });
+      return { [association.targetKey]: { [Op.in]: literal(`(${pivot})`) } };
+    }
+    default:
+      throw new ModelError(
+        `Relation type ${association.associationType} is not supported`
+      );
+  }
+};
+
+// Correlated subquery on the related table of association, the related table
+// is aliased with the association name
+const relationSubquery = (association, sourceAlias, options = {}) => {
+  const { where = {}, ...rest } = options;
+  const conditions = [relationCondition(association, sourceAlias)];
+  if (Reflect.ownKeys(where).length > 0) conditions.push(where);
+
+  return selectSql(association.target, {
+    ...rest,
+    tableAs: association.as,
+    where: { [Op.and]: conditions },
+  });
+};
+
+const associationTypes = ["hasOne", "hasMany", "belongsTo", "belongsToMany"];
+
+// Associations declared by a blueprint: { alias: { type, model, ...options } },
+// modelOf resolves the target name into a Sequelize model
+const associateBlueprint = (name, source, associations, modelOf) => {
+  Object.entries(associations).forEach(([as, association]) => {
+    const { type, model, ...options } = association;
+    if (!associationTypes.includes(type))
+      throw new ModelError(
+        `Association ${as} of ${name} has type ${type}, available: ${associationTypes.join(
+          ", "
+        )}`
+      );
+    if (typeof model != "string")
+      throw new ModelError(`Association ${as} of ${name} needs a model name`);
+    const target = modelOf(model);
+    if (target.sequelize !== source.sequelize)
+      throw new ModelError(
+        `Association ${as} of ${name} joins models of different connections`
+      );
+    source[type](target, { as, ...options });
+  });
+};
+
+module.exports = { resolveRelationPath, relationSubquery, associateBlueprint };
@@ -0,0 +1,138 @@
+const ModelError = require("../errors/ModelError.js");
+
+const ruleNames = [
+  "required",
+  "type",
+  "length",
+  "regex",
+  "enum",
+  "unique",
+  "custom",
+  "messages",
+];
+
+const types = {
+  string: (value) => typeof value == "string",
+  number: (value) => typeof value == "number" && !Number.isNaN(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value == "boolean",
+  date: (value) =>
+    value instanceof Date
+      ? !Number.isNaN(value.getTime())
+      : typeof value == "string" && !Number.isNaN(Date.parse(value)),
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value == "object" && value !== null && !Array.isArray(value),
+};
+
+const customsOf = (rule) => [].concat(rule.custom ?? []);
+
+// Rules are checked once, when the Sequerizer is created:
+// { phone: { required: true, type: "string", length: { min: 8, max: 15 },
+//   regex: /^\d+$/, unique: true, custom: async (value, data) => true } }
+const mustBeRules = (rules) => {
+  Object.entries(rules).forEach(([field, rule]) => {
+    if (typeof rule != "object" || rule === null || Array.isArray(rule))
+      throw new ModelError(`Rules of ${field} must be an object`);
+    Object.keys(rule).forEach((name) => {
+      if (!ruleNames.includes(name))
+        throw new ModelError(
+          `Unknown rule ${name} on ${field}, available: ${ruleNames.join(", ")}`
+        );
+    });
+    if (rule.type !== undefined && !types.hasOwnProperty(rule.type))
+      throw new ModelError(
+        `Unknown type ${rule.type} on ${field}, available: ${Object.keys(
+          types
+        ).join(", ")}`
+      );
+    if (
+      rule.length !== undefined &&
+      typeof rule.length != "number" &&
+      (typeof rule.length != "object" || rule.length === null)
+    )
+      throw new ModelError(
+        `length rule of ${field} must be a number or { min, max }`
+      );
+    if (rule.regex !== undefined && !(rule.regex instanceof RegExp))
+      throw new ModelError(`regex rule of ${field} must be a RegExp`);
+    if (rule.enum !== undefined && !Array.isArray(rule.enum))
+      throw new ModelError(`enum rule of ${field} must be an array`);
+    if (customsOf(rule).some((custom) => typeof custom != "function"))
+      throw new ModelError(`custom rule of ${field} must be a function`);
+  });
+};
+
+const lengthFails = (value, length) => {
+  const size =
+    typeof value == "string" || Array.isArray(value)
+      ? value.length
+      : String(value).length;
+  if (typeof length == "number") return size !== length;
+  const { min = null, max = null } = length;
+  return (min !== null && size < min) || (max !== null && size > max);
+};
+
+const lengthMessage = (field, length) => {
+  if (typeof length == "number")
+    return `${field} must be ${length} characters long`;
+  const { min = null, max = null } = length;
+  if (min !== null && max !== null)
+    return `${field} must be between ${min} and ${max} characters long`;
+  if (min !== null) return `${field} must be at least ${min} characters long`;
+  return `${field} must be at most ${max} characters long`;
+};
+
+// Every failed rule of data as { field, message, type }, a field stops at a
+// missing value or a wrong type. partial skips the fields missing from data
+// (updates), isUnique(field, value) checks the table, null skips unique rules.
+const validateRules = async (rules, data, options = {}) => {
+  const { partial = false, isUnique = null } = options;
+  const errors = [];
+  for (const [field, rule] of Object.entries(rules)) {
+    if (partial && !data.hasOwnProperty(field)) continue;
+    const value = data[field];
+    const messages = rule.messages || {};
+    const fail = (type, message) => {
+      errors.push({ field, message: messages[type] || message, type });
+    };
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) fail("required", `${field} is required`);
+      continue;
+    }
+    if (rule.type !== undefined && !types[rule.type](value)) {
+      fail("type", `${field} must be of type ${rule.type}`);
+      continue;
+    }
+    if (rule.length !== undefined && lengthFails(value, rule.length))
+      fail("length", lengthMessage(field, rule.length));
+    if (rule.regex !== undefined && !rule.regex.test(String(value)))
+      fail("regex", `${field} format is invalid`);
+    if (rule.enum !== undefined && !rule.enum.includes(value))
+      fail("enum", `${field} must be one of ${rule.enum.join(", ")}`);
+    if (rule.unique && isUnique !== null && !(await isUnique(field, value)))
+      fail("unique", `${field} has already been taken`);
+    // false or a message fails the rule
+    for (const custom of customsOf(rule)) {
+      const result = await custom(value, data);
+      if (result === false) fail("custom", `${field} is invalid`);
+      else if (typeof result == "string") fail("custom", result);
+    }
+  }
+  return errors;
+};
+
+// Attributes of data that can't be mass assigned: outside fillable when it is
+// set, otherwise guarded ones and the ones the model doesn't define
+const unfillable = (sequerizer, data) => {
+  const { fillable = null, guarded = [], table } = sequerizer;
+  if (fillable === null && guarded.length === 0) return [];
+  return Object.keys(data).filter((key) =>
+    fillable !== null
+      ? !fillable.includes(key)
+      : guarded.includes(key) || !table.rawAttributes.hasOwnProperty(key)
+  );
+};
+
+module.exports = { mustBeRules, validateRules, unfillable };
@@ -0,0 +1,42 @@
+const { Utils } = require("sequelize");
+
+// SQL of model.findAll(options) without running it, the same preparation
+// steps as findAll minus the hooks
+const findAllSql = (model, options) => {
+  options = Utils.cloneDeep(options);
+  const tableNames = { [model.getTableName(options)]: true };
+
+  model._injectScope(options);
+  model._conformIncludes(options, model);
+  model._expandAttributes(options);
+  model._expandIncludeAll(options);
+  if (options.include) {
+    options.hasJoin = true;
+    model._validateIncludedElements(options, tableNames);
+    if (
+      options.attributes &&
+      !options.raw &&
+      model.primaryKeyAttribute &&
+      !options.attributes.includes(model.primaryKeyAttribute) &&
+      (!options.group ||
+        !options.hasSingleAssociation ||
+        options.hasMultiAssociation)
+    )
+      options.attributes = [model.primaryKeyAttribute, ...options.attributes];
+  }
+  if (!options.attributes)
+    options.attributes = Object.keys(model.rawAttributes);
+  Utils.mapFinderOptions(options, model);
+  options = model._paranoidClause(model, options);
+
+  const queryGenerator = model.sequelize.getQueryInterface().queryGenerator;
+  return queryGenerator
+    .selectQuery(
+      model.getTableName(options),
+      { ...options, tableNames: Object.keys(tableNames) },
+      model
+    )
+    .replace(/;$/, "");
+};
+
+module.exports = { findAllSql };
@@ -0,0 +1,29 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const ModelError = require("../errors/ModelError.js");
+
+// Holds the transaction of the running Sequerizer.transaction callback so
+// queries inside it join the transaction without passing it around
+const storage = new AsyncLocalStorage();
+
+const currentTransaction = (sequelize) => {
+  const transaction = storage.getStore();
+  return transaction && transaction.sequelize === sequelize
+    ? transaction
+    : undefined;
+};
+
+// Managed transaction: committed when the callback resolves, rolled back when
+// it throws. Called inside another transaction it becomes a savepoint.
+const transaction = async (sequelize, callback, options = {}) => {
+  if (!sequelize || typeof sequelize.transaction != "function")
+    throw new ModelError("transaction method needs a Sequelize instance");
+  if (typeof callback != "function")
+    throw new ModelError("callback in transaction method must be a function");
+
+  const parent = options.transaction || currentTransaction(sequelize);
+  return sequelize.transaction({ ...options, transaction: parent }, (trx) =>
+    storage.run(trx, () => callback(trx))
+  );
+};
+
+module.exports = { transaction, currentTransaction };
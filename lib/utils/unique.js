@@ -0,0 +1,34 @@
+// Attribute name of a field (column) name of model
+const attributeOf = (model, field) => {
+  const name = typeof field == "string" ? field : field.name || field.attribute;
+  const attribute = model.fieldRawAttributesMap[name];
+  return attribute ? attribute.fieldName : name;
+};
+
+// Every set of attributes the database guarantees to be unique: the primary
+// key, unique attributes and unique indexes of the model options
+const uniqueKeys = (model) => {
+  const keys = [];
+  if (model.primaryKeyAttributes.length > 0)
+    keys.push([...model.primaryKeyAttributes]);
+  Object.values(model.uniqueKeys || {}).forEach((key) => {
+    keys.push(key.fields.map((field) => attributeOf(model, field)));
+  });
+  (model.options.indexes || [])
+    .filter((index) => index.unique)
+    .forEach((index) => {
+      keys.push(index.fields.map((field) => attributeOf(model, field)));
+    });
+  return keys;
+};
+
+// Whether the attributes are exactly one of the unique keys, in any order
+const isUniqueKey = (model, attributes) => {
+  return uniqueKeys(model).some(
+    (key) =>
+      key.length === attributes.length &&
+      key.every((attribute) => attributes.includes(attribute))
+  );
+};
+
+module.exports = { uniqueKeys, isUniqueKey };
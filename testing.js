@@ -0,0 +1,7 @@
+/*!
+ * sequerizer
+ * Copyright(c) 2024 Wildan M Zaki
+ * ISC Licensed
+ */
+
+module.exports = require("./lib/testing");
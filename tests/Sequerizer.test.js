@@ -1,12 +1,29 @@
-const { sequelize, blueprints } = require("../jest.setup");
+const { sequelize, blueprints, harness } = require("../jest.setup");
+const { DataTypes } = require("sequelize");
 const {
   Sequerizer,
   NotFoundError,
   CreateError,
+  DeleteError,
   ModelError,
+  ValidationError,
+  MemoryStore,
+  Op,
 } = require("../lib/Sequerizer");
 
-const Users = new Sequerizer(sequelize.define(...blueprints.users));
+const Users = harness.model("users");
+const Posts = harness.model("posts");
+
+Users.table.hasMany(Posts.table, {
+  as: "posts",
+  foreignKey: "user_id",
+  constraints: false,
+});
+Posts.table.belongsTo(Users.table, {
+  as: "author",
+  foreignKey: "user_id",
+  constraints: false,
+});
 
 describe("Sequerizer Class", () => {
   beforeAll(async () => {
@@ -95,6 +112,13 @@ describe("Sequerizer Class", () => {
     expect(user.name).toBe("User 1");
   });
 
+  it("should find by id within every orWhere branch", async () => {
+    const query = Users.where("name", "User 1").orWhere("name", "User 2");
+
+    expect((await query.find(2)).name).toBe("User 2");
+    expect(await query.find(3)).toBeNull();
+  });
+
   it("should throw an error if user not found and withError is true", async () => {
     try {
       await Users.withError(true).find(99999);
@@ -307,4 +331,1308 @@ describe("Sequerizer Class", () => {
     expect(userCount).toBe(7);
     expect(userByName.length).toBe(6);
   });
+
+  it("chained queries must not share state", async () => {
+    const base = Users.where("name", "User x");
+    const narrowed = base.where("phone", "1234567893").limit(1);
+
+    expect(base).not.toBe(narrowed);
+    expect(base.buildOptions()).toEqual({ where: { name: "User x" } });
+    expect(narrowed.buildOptions()).toEqual({
+      where: { name: "User x", phone: "1234567893" },
+      limit: 1,
+    });
+    expect(Users.query().buildOptions()).toEqual({ where: {} });
+
+    const [users, narrowedUsers] = await Promise.all([
+      base.get(),
+      narrowed.get(),
+    ]);
+    expect(users.length).toBe(2);
+    expect(narrowedUsers.length).toBe(1);
+  });
+
+  it("withError must not leak into the next query", async () => {
+    await expect(Users.withError(true).find(99999)).rejects.toBeInstanceOf(
+      NotFoundError
+    );
+    const user = await Users.find(99999);
+    expect(user).toBeNull();
+  });
+
+  it("should compile operators and grouped conditions", async () => {
+    const query = Users.where("status", true)
+      .where((q) => q.where("name", "User x").orWhere("name", "like", "%y"))
+      .whereNotNull("phone");
+
+    expect(query.buildOptions().where).toEqual({
+      status: true,
+      [Op.or]: [{ name: "User x" }, { name: { [Op.like]: "%y" } }],
+      phone: { [Op.not]: null },
+    });
+
+    const users = await query.get();
+    expect(users.length).toBe(3);
+    expect(users.every((user) => user.name !== "User z")).toBe(true);
+  });
+
+  it("should filter with orWhere, whereNot and range helpers", async () => {
+    const orUsers = await Users.where("name", "User a")
+      .orWhere("name", "User b")
+      .get();
+    expect(orUsers.map((user) => user.name).sort()).toEqual([
+      "User a",
+      "User b",
+    ]);
+
+    const notX = await Users.whereNot("name", "User x").count();
+    expect(notX).toBe(5);
+
+    const between = await Users.whereBetween("phone", [
+      "1234567894",
+      "1234567896",
+    ]).count();
+    expect(between).toBe(3);
+
+    const notIn = await Users.whereNotIn("name", ["User x", "User y"]).count();
+    expect(notIn).toBe(4);
+
+    const withoutValidation = await Users.whereNull("validated_at").count();
+    expect(withoutValidation).toBe(7);
+
+    const like = await Users.whereLike("name", "User %").count();
+    expect(like).toBe(7);
+
+    expect(() => Users.where("name", "~", "x")).toThrow(ModelError);
+  });
+
+  it("should paginate with metadata", async () => {
+    const page = await Users.orderBy("id").paginate(2, 3);
+
+    expect(page.total).toBe(7);
+    expect(page.perPage).toBe(3);
+    expect(page.currentPage).toBe(2);
+    expect(page.lastPage).toBe(3);
+    expect(page.from).toBe(4);
+    expect(page.to).toBe(6);
+    expect(page.hasMore).toBe(true);
+    expect(page.data.length).toBe(3);
+
+    const filtered = await Users.where("name", "User x").paginate(1, 5);
+    expect(filtered.total).toBe(2);
+    expect(filtered.lastPage).toBe(1);
+    expect(filtered.hasMore).toBe(false);
+
+    await expect(Users.paginate(0, 5)).rejects.toBeInstanceOf(ModelError);
+  });
+
+  it("should simple paginate without counting", async () => {
+    const page = await Users.orderBy("id").simplePaginate(3, 3);
+
+    expect(page.data.length).toBe(1);
+    expect(page.from).toBe(7);
+    expect(page.to).toBe(7);
+    expect(page.hasMore).toBe(false);
+    expect(page).not.toHaveProperty("total");
+
+    const first = await Users.orderBy("id").simplePaginate(1, 3);
+    expect(first.data.length).toBe(3);
+    expect(first.hasMore).toBe(true);
+  });
+
+  it("should cursor paginate forward and backward", async () => {
+    const query = Users.orderBy("name");
+    const names = (page) => page.data.map((user) => user.name);
+
+    const first = await query.cursorPaginate({ perPage: 3 });
+    expect(names(first)).toEqual(["User a", "User b", "User c"]);
+    expect(first.prevCursor).toBeNull();
+    expect(first.hasMore).toBe(true);
+
+    const second = await query.cursorPaginate({
+      perPage: 3,
+      cursor: first.nextCursor,
+    });
+    expect(names(second)).toEqual(["User x", "User x", "User y"]);
+    expect(second.data[0].id).toBeLessThan(second.data[1].id);
+
+    const third = await query.cursorPaginate({
+      perPage: 3,
+      cursor: second.nextCursor,
+    });
+    expect(names(third)).toEqual(["User z"]);
+    expect(third.nextCursor).toBeNull();
+    expect(third.hasMore).toBe(false);
+
+    const back = await query.cursorPaginate({
+      perPage: 3,
+      cursor: third.prevCursor,
+    });
+    expect(names(back)).toEqual(names(second));
+
+    const start = await query.cursorPaginate({
+      perPage: 3,
+      cursor: back.prevCursor,
+    });
+    expect(names(start)).toEqual(names(first));
+    expect(start.prevCursor).toBeNull();
+  });
+
+  it("should cursor paginate after orWhere and by primary keys", async () => {
+    const query = Users.where("name", "User a")
+      .orWhere("name", "User b")
+      .orderBy("id");
+    const first = await query.cursorPaginate({ perPage: 1 });
+    const second = await query.cursorPaginate({
+      perPage: 1,
+      cursor: first.nextCursor,
+    });
+    expect(second.data.map((user) => user.name)).toEqual(["User b"]);
+    expect(second.nextCursor).toBeNull();
+
+    // Same table, the primary key leaves allowNull undeclared
+    const Undeclared = new Sequerizer(
+      sequelize.define(
+        "undeclared_users",
+        {
+          id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+          name: { type: DataTypes.STRING },
+        },
+        { tableName: "users", timestamps: false }
+      )
+    );
+    const page = await Undeclared.orderBy("id").cursorPaginate({ perPage: 2 });
+    expect(page.data).toHaveLength(2);
+  });
+
+  it("should reject cursor pagination on non deterministic orders", async () => {
+    await expect(
+      Users.orderBy("validated_at").cursorPaginate({ perPage: 2 })
+    ).rejects.toBeInstanceOf(ModelError);
+    await expect(
+      Users.cursorPaginate({ perPage: 2, cursor: "not-a-cursor" })
+    ).rejects.toBeInstanceOf(ModelError);
+  });
+
+  describe("relations", () => {
+    beforeAll(async () => {
+      await Posts.table.sync({ force: true });
+      const userA = await Users.where("name", "User a").first();
+      const userB = await Users.where("name", "User b").first();
+      await Posts.insert([
+        { user_id: userA.id, title: "Post a1", published: true },
+        { user_id: userA.id, title: "Post a2", published: true },
+        { user_id: userA.id, title: "Post a3", published: false },
+        { user_id: userB.id, title: "Post b1", published: false },
+      ]);
+    });
+
+    it("should eager load relations with with()", async () => {
+      const user = await Users.with("posts").where("name", "User a").first();
+      expect(user.posts.length).toBe(3);
+
+      const constrained = await Users.with({
+        posts: (q) => q.where("published", true),
+      })
+        .whereIn("name", ["User a", "User c"])
+        .orderBy("name")
+        .get();
+      expect(constrained.length).toBe(2);
+      expect(constrained[0].posts.length).toBe(2);
+      expect(constrained[1].posts.length).toBe(0);
+
+      const nested = await Users.with("posts.author")
+        .where("name", "User b")
+        .first();
+      expect(nested.posts[0].author.name).toBe("User b");
+    });
+
+    it("should count relations with withCount()", async () => {
+      const users = await Users.withCount("posts")
+        .withCount({
+          "posts as published_posts": (q) => q.where("published", true),
+        })
+        .whereIn("name", ["User a", "User b", "User c"])
+        .orderBy("name")
+        .get();
+
+      expect(users.map((user) => Number(user.get("posts_count")))).toEqual([
+        3, 1, 0,
+      ]);
+      expect(users.map((user) => Number(user.get("published_posts")))).toEqual([
+        2, 0, 0,
+      ]);
+    });
+
+    it("should filter by relation existence", async () => {
+      const names = (users) => users.map((user) => user.name).sort();
+
+      const published = await Users.whereHas("posts", (q) =>
+        q.where("published", true)
+      ).get();
+      expect(names(published)).toEqual(["User a"]);
+
+      expect(names(await Users.has("posts").get())).toEqual([
+        "User a",
+        "User b",
+      ]);
+      expect(names(await Users.has("posts", ">=", 3).get())).toEqual([
+        "User a",
+      ]);
+      expect(names(await Users.has("posts", "=", 1).get())).toEqual(["User b"]);
+      expect(await Users.doesntHave("posts").count()).toBe(5);
+
+      const nested = await Users.whereHas("posts.author", (q) =>
+        q.where("name", "User b")
+      ).get();
+      expect(names(nested)).toEqual(["User b"]);
+    });
+
+    it("should apply the scopes of the related model", async () => {
+      const names = (users) => users.map((user) => user.name).sort();
+      const ScopedUsers = new Sequerizer(
+        sequelize.define("scoped_users", blueprints.users[1], {
+          ...blueprints.users[2],
+        })
+      );
+      const ScopedPosts = new Sequerizer(
+        sequelize.define("scoped_posts", blueprints.posts[1], {
+          ...blueprints.posts[2],
+        }),
+        {
+          scopes: { titled: (q, title) => q.where("title", title) },
+          globalScopes: { published: (q) => q.where("published", true) },
+        }
+      );
+      ScopedUsers.table.hasMany(ScopedPosts.table, {
+        as: "posts",
+        foreignKey: "user_id",
+        constraints: false,
+      });
+
+      const titled = await ScopedUsers.with({
+        posts: (q) => q.titled("Post a1"),
+      })
+        .where("name", "User a")
+        .first();
+      expect(titled.posts.map((post) => post.title)).toEqual(["Post a1"]);
+
+      const loaded = await ScopedUsers.with("posts")
+        .where("name", "User a")
+        .first();
+      expect(loaded.posts).toHaveLength(2);
+
+      const counted = await ScopedUsers.withCount("posts")
+        .whereIn("name", ["User a", "User b"])
+        .orderBy("name")
+        .get();
+      expect(counted.map((user) => Number(user.get("posts_count")))).toEqual([
+        2, 0,
+      ]);
+      expect(names(await ScopedUsers.whereHas("posts").get())).toEqual([
+        "User a",
+      ]);
+    });
+
+    it("should handle soft deleted rows", async () => {
+      await Posts.where("title", "Post a3").delete();
+
+      expect(await Posts.count()).toBe(3);
+      expect(await Posts.withTrashed().count()).toBe(4);
+      const trashed = await Posts.onlyTrashed().get();
+      expect(trashed.map((post) => post.title)).toEqual(["Post a3"]);
+      const trashedWhere = await Posts.onlyTrashed().getWhere();
+      expect(trashedWhere.map((post) => post.title)).toEqual(["Post a3"]);
+      expect(await Posts.withTrashed().getWhere()).toHaveLength(4);
+
+      const user = await Users.withCount("posts")
+        .where("name", "User a")
+        .first();
+      expect(Number(user.get("posts_count"))).toBe(2);
+      expect(await Users.has("posts", ">=", 3).count()).toBe(0);
+
+      await Posts.onlyTrashed().where("title", "Post a3").restore();
+      expect(await Posts.count()).toBe(4);
+      expect(await Posts.onlyTrashed().count()).toBe(0);
+
+      await Posts.insert({ user_id: user.id, title: "Post gone" });
+      await Posts.where("title", "Post gone").delete();
+      await Posts.forceDelete({ title: "Post gone" });
+      expect(await Posts.withTrashed().count()).toBe(4);
+
+      expect(() => Users.withTrashed()).toThrow(ModelError);
+    });
+
+    it("should throw ModelError for unknown relations", () => {
+      expect(() => Users.with("comments")).toThrow(ModelError);
+      expect(() => Users.with("posts.comments")).toThrow(ModelError);
+      expect(() => Users.withCount("comments")).toThrow(ModelError);
+      expect(() => Users.whereHas("comments")).toThrow(ModelError);
+    });
+  });
+
+  describe("transactions", () => {
+    it("should roll back every operation when the callback throws", async () => {
+      const before = await Users.count();
+
+      await expect(
+        Sequerizer.transaction(sequelize, async (trx) => {
+          await Users.using(trx).create({
+            name: "User trx",
+            phone: "5550001",
+            password: "passwordtrx",
+          });
+          // joins the running transaction without using()
+          await Users.where("name", "User a").update({ name: "User trx a" });
+          throw new Error("abort");
+        })
+      ).rejects.toThrow("abort");
+
+      expect(await Users.count()).toBe(before);
+      expect(await Users.where("name", "User a").count()).toBe(1);
+    });
+
+    it("should commit and return the callback result", async () => {
+      const user = await Sequerizer.transaction(sequelize, async () => {
+        return Users.create({
+          name: "User committed",
+          phone: "5550002",
+          password: "passwordcommitted",
+        });
+      });
+
+      expect(await Users.find(user.id)).not.toBeNull();
+      await Users.where("id", user.id).delete();
+    });
+
+    it("should use savepoints for nested transactions", async () => {
+      const before = await Users.count();
+
+      await Sequerizer.transaction(sequelize, async () => {
+        await Users.create({
+          name: "User outer",
+          phone: "5550003",
+          password: "passwordouter",
+        });
+
+        await expect(
+          Sequerizer.transaction(sequelize, async () => {
+            await Users.create({
+              name: "User inner",
+              phone: "5550004",
+              password: "passwordinner",
+            });
+            throw new Error("inner abort");
+          })
+        ).rejects.toThrow("inner abort");
+      });
+
+      expect(await Users.count()).toBe(before + 1);
+      expect(await Users.where("name", "User inner").exists()).toBe(false);
+      await Users.where("name", "User outer").delete();
+    });
+  });
+
+  describe("chunked iteration", () => {
+    it("should walk the rows in chunks", async () => {
+      const pages = [];
+      const finished = await Users.orderBy("name").chunk(3, (rows, page) => {
+        pages.push([page, rows.map((user) => user.name)]);
+      });
+
+      expect(finished).toBe(true);
+      expect(pages).toEqual([
+        [1, ["User a", "User b", "User c"]],
+        [2, ["User x", "User x", "User y"]],
+        [3, ["User z"]],
+      ]);
+    });
+
+    it("should stop when the callback returns false", async () => {
+      let calls = 0;
+      const finished = await Users.chunk(2, () => {
+        calls++;
+        return false;
+      });
+
+      expect(finished).toBe(false);
+      expect(calls).toBe(1);
+    });
+
+    it("should not skip rows updated while chunking by id", async () => {
+      const seen = [];
+      await Users.where("name", "User x").chunkById(1, async (rows) => {
+        seen.push(rows[0].id);
+        await Users.where("id", rows[0].id).update({ name: "User x2" });
+      });
+
+      expect(seen.length).toBe(2);
+      await Users.where("name", "User x2").update({ name: "User x" });
+    });
+
+    it("should keep orWhere branches apart when chunking by id", async () => {
+      const pages = [];
+      await Users.where("name", "User a")
+        .orWhere("name", "User b")
+        .chunkById(1, (rows) => {
+          pages.push(rows[0].name);
+          return pages.length < 5;
+        });
+
+      expect(pages).toEqual(["User a", "User b"]);
+    });
+
+    it("should iterate lazily", async () => {
+      const names = [];
+      for await (const user of Users.needColumns(["name"])
+        .whereIn("name", ["User a", "User b", "User c"])
+        .lazyById(2)) {
+        names.push(user.name);
+      }
+      expect(names.sort()).toEqual(["User a", "User b", "User c"]);
+
+      let count = 0;
+      for await (const user of Users.lazy(2)) {
+        count++;
+        if (user.name === "User z") break;
+      }
+      expect(count).toBeGreaterThan(0);
+      expect(count).toBeLessThanOrEqual(7);
+    });
+  });
+
+  describe("scopes", () => {
+    const ScopedUsers = new Sequerizer(Users.table, {
+      scopes: {
+        active: (q) => q.where("status", true),
+        named: (q, name) => q.where("name", name),
+      },
+      globalScopes: {
+        withoutX: (q) => q.whereNot("name", "User x"),
+      },
+    });
+
+    it("should call scopes as chain methods", async () => {
+      expect(await ScopedUsers.named("User a").count()).toBe(1);
+      expect(await ScopedUsers.active().named("User b").count()).toBe(1);
+      expect(await ScopedUsers.where("status", true).active().count()).toBe(5);
+    });
+
+    it("should apply global scopes unless removed", async () => {
+      expect(await ScopedUsers.count()).toBe(5);
+      expect(await ScopedUsers.named("User x").count()).toBe(0);
+      expect(
+        await ScopedUsers.named("User x").withoutGlobalScope("withoutX").count()
+      ).toBe(2);
+      expect(await ScopedUsers.withoutGlobalScopes().count()).toBe(7);
+
+      // query conditions are grouped apart from the global scope conditions
+      const users = await ScopedUsers.where("name", "User x")
+        .orWhere("name", "User a")
+        .get();
+      expect(users.map((user) => user.name)).toEqual(["User a"]);
+    });
+
+    it("should reject invalid scopes", () => {
+      expect(
+        () => new Sequerizer(Users.table, { scopes: { where: (q) => q } })
+      ).toThrow(ModelError);
+      expect(() => ScopedUsers.withoutGlobalScope("unknown")).toThrow(
+        ModelError
+      );
+    });
+  });
+
+  describe("hooks", () => {
+    const ObservedUsers = new Sequerizer(Users.table);
+    const calls = [];
+
+    ObservedUsers.on("saving", (payload) => {
+      calls.push("saving");
+      return { ...payload, password: `hashed:${payload.password}` };
+    })
+      .on("creating", async (payload) => {
+        calls.push("creating");
+        payload.name = payload.name.trim();
+      })
+      .on("deleting", (where) => {
+        calls.push("deleting");
+        return where.name !== "User hook protected";
+      })
+      .observe({
+        created(user) {
+          calls.push(`created:${user.name}`);
+        },
+        updated(affected) {
+          calls.push(`updated:${affected[0]}`);
+        },
+        retrieved() {
+          calls.push("retrieved");
+        },
+      });
+
+    beforeEach(() => {
+      calls.length = 0;
+    });
+
+    afterAll(async () => {
+      await Users.whereLike("name", "User hook%").delete();
+    });
+
+    it("should run creating hooks and use the mutated payload", async () => {
+      const user = await ObservedUsers.create({
+        name: "  User hook  ",
+        phone: "7770001",
+        password: "secret",
+      });
+
+      expect(user.name).toBe("User hook");
+      expect(user.password).toBe("hashed:secret");
+      expect(calls).toEqual(["saving", "creating", "created:User hook"]);
+    });
+
+    it("should run hooks for every row of a bulk insert", async () => {
+      await ObservedUsers.insert([
+        { name: "User hook 2", phone: "7770002", password: "a" },
+        { name: "User hook 3", phone: "7770003", password: "b" },
+      ]);
+
+      expect(calls.filter((call) => call === "creating").length).toBe(2);
+      expect(calls).toContain("created:User hook 3");
+      const stored = await Users.where("name", "User hook 3").first();
+      expect(stored.password).toBe("hashed:b");
+    });
+
+    it("should run update, retrieve and delete hooks", async () => {
+      await ObservedUsers.where("name", "User hook 2").update({
+        password: "c",
+      });
+      expect(calls).toEqual(["saving", "updated:1"]);
+
+      await ObservedUsers.whereLike("name", "User hook%").get();
+      expect(calls.filter((call) => call === "retrieved").length).toBe(3);
+
+      await ObservedUsers.create({
+        name: "User hook protected",
+        phone: "7770004",
+        password: "d",
+      });
+      await expect(
+        ObservedUsers.delete({ name: "User hook protected" })
+      ).rejects.toBeInstanceOf(DeleteError);
+      expect(await Users.where("name", "User hook protected").exists()).toBe(
+        true
+      );
+    });
+
+    it("should run creating and updating hooks per upserted row", async () => {
+      const updating = jest.fn();
+      const updated = jest.fn();
+      ObservedUsers.on("updating", updating).on("updated", updated);
+
+      const result = await ObservedUsers.upsert(
+        [
+          { name: "User hook 2 upserted", phone: "7770002", password: "e" },
+          { name: "  User hook 5  ", phone: "7770005", password: "f" },
+        ],
+        { uniqueBy: ["phone"], update: ["name"] }
+      );
+      ObservedUsers.off("updating", updating).off("updated", updated);
+
+      expect(result).toEqual({ created: 1, updated: 1, ignored: 0 });
+      expect(updating).toHaveBeenCalledTimes(1);
+      expect(updating.mock.calls[0][1].item.phone).toBe("7770002");
+      expect(calls.filter((call) => call === "creating").length).toBe(1);
+      expect(calls).toContain("created:User hook 5");
+      expect(updated.mock.calls[0][0].name).toBe("User hook 2 upserted");
+    });
+
+    it("should reject unknown events", () => {
+      expect(() => ObservedUsers.on("saved", () => {})).toThrow(ModelError);
+    });
+  });
+
+  describe("errors", () => {
+    it("should map unique violations to 409 with field details", async () => {
+      const error = await Users.create({
+        name: "User duplicate",
+        phone: "1234567896",
+        password: "password",
+      }).catch((error) => error);
+
+      expect(error).toBeInstanceOf(CreateError);
+      expect(error.code).toBe("UNIQUE_VIOLATION");
+      expect(error.statusCode).toBe(409);
+      expect(error.identifier).toBe("users");
+      expect(error.operation).toBe("create");
+      expect(error.cause.name).toBe("SequelizeUniqueConstraintError");
+      expect(error.details.map((detail) => detail.field)).toContain("phone");
+    });
+
+    it("should map validation errors to 422", async () => {
+      const error = await Users.insert({ phone: "8880001" }).catch(
+        (error) => error
+      );
+
+      expect(error.code).toBe("VALIDATION_FAILED");
+      expect(error.statusCode).toBe(422);
+      expect(error.details.map((detail) => detail.field).sort()).toEqual([
+        "name",
+        "password",
+      ]);
+    });
+
+    it("should expose not found errors as JSON", async () => {
+      const error = await Users.withError()
+        .where("name", "nobody")
+        .first()
+        .catch((error) => error);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.statusCode).toBe(404);
+      expect(error.options.where).toEqual({ name: "nobody" });
+      expect(JSON.parse(JSON.stringify(error))).toEqual({
+        name: "NotFoundError",
+        code: "NOT_FOUND",
+        message: "users not found",
+        statusCode: 404,
+        identifier: "users",
+        operation: "first",
+        details: [],
+      });
+    });
+
+    it("should still accept a status code as second argument", () => {
+      const error = new ModelError("Teapot", 418);
+      expect(error.statusCode).toBe(418);
+      expect(error.code).toBe("MODEL_ERROR");
+    });
+  });
+
+  describe("upserts", () => {
+    it("should upsert on a unique column and count the outcome", async () => {
+      await Users.create({
+        name: "Upsert 1",
+        phone: "7770001",
+        password: "secret",
+      });
+
+      const result = await Users.upsert(
+        [
+          { name: "Upserted 1", phone: "7770001", password: "changed" },
+          { name: "Upserted 2", phone: "7770002", password: "secret" },
+        ],
+        { uniqueBy: ["phone"], update: ["name"] }
+      );
+
+      expect(result).toEqual({ created: 1, updated: 1, ignored: 0 });
+      const first = await Users.where("phone", "7770001").first();
+      expect(first.name).toBe("Upserted 1");
+      expect(first.password).toBe("secret");
+      expect(await Users.where("phone", "7770002").exists()).toBe(true);
+    });
+
+    it("should count ignored rows and batch duplicates apart", async () =>
+      harness.isolated(async () => {
+        await Users.create({
+          name: "Upsert 5",
+          phone: "7770005",
+          password: "secret",
+        });
+
+        const ignored = await Users.upsert(
+          [
+            { name: "Ignored 5", phone: "7770005", password: "changed" },
+            { name: "Upserted 6", phone: "7770006", password: "secret" },
+          ],
+          { uniqueBy: ["phone"], update: [] }
+        );
+        expect(ignored).toEqual({ created: 1, updated: 0, ignored: 1 });
+        expect((await Users.where("phone", "7770005").first()).name).toBe(
+          "Upsert 5"
+        );
+
+        const duplicated = await Users.upsert(
+          [
+            { name: "Upserted 7", phone: "7770007", password: "secret" },
+            { name: "Upserted 7 again", phone: "7770007", password: "secret" },
+            { name: "Upserted 6 again", phone: "7770006", password: "secret" },
+          ],
+          { uniqueBy: ["phone"], update: ["name"] }
+        );
+        expect(duplicated).toEqual({ created: 1, updated: 1, ignored: 0 });
+        expect(await Users.where("phone", "7770007").count()).toBe(1);
+      }));
+
+    it("should check the upsert options", async () => {
+      const row = { name: "Upserted 8", phone: "7770008", password: "secret" };
+
+      await expect(
+        Users.upsert(row, { uniqueBy: ["phone"], update: "name" })
+      ).rejects.toThrow(
+        "upsert expects update to be an array or null, got string"
+      );
+      await expect(Users.upsert(row, { uniqueBy: "phone" })).rejects.toThrow(
+        "upsert expects uniqueBy to be an array, got string"
+      );
+    });
+
+    it("should reject a conflict target that is not unique", async () => {
+      const error = await Users.upsert(
+        { name: "Upserted 3", phone: "7770003", password: "secret" },
+        { uniqueBy: ["name"] }
+      ).catch((error) => error);
+
+      expect(error).toBeInstanceOf(CreateError);
+      expect(error.code).toBe("INVALID_CONFLICT_TARGET");
+      expect(error.operation).toBe("upsert");
+      expect(error.details.map((detail) => detail.field)).toEqual(["name"]);
+      expect(await Users.where("phone", "7770003").exists()).toBe(false);
+    });
+
+    it("should update or create by the matched columns", async () => {
+      const updated = await Users.updateOrCreate(
+        { phone: "7770002" },
+        { name: "Updated 2" }
+      );
+      const created = await Users.updateOrCreate(
+        { phone: "7770004" },
+        { name: "Created 4", password: "secret" }
+      );
+
+      expect(updated.name).toBe("Updated 2");
+      expect(await Users.where("phone", "7770002").count()).toBe(1);
+      expect(created.name).toBe("Created 4");
+      expect(await Users.where("phone", "7770004").exists()).toBe(true);
+    });
+  });
+
+  describe("aggregates", () => {
+    beforeAll(async () => {
+      await Posts.truncate();
+      await Posts.insert([
+        { user_id: 2, title: "Aggregate A", published: true },
+        { user_id: 2, title: "Aggregate B", published: false },
+        { user_id: 5, title: "Aggregate C", published: true },
+      ]);
+    });
+
+    it("should return plain aggregate values", async () => {
+      expect(await Posts.sum("user_id")).toBe(9);
+      expect(await Posts.avg("user_id")).toBe(3);
+      expect(await Posts.min("user_id")).toEqual(2);
+      expect(await Posts.max("user_id")).toEqual(5);
+      expect(await Posts.where("published", true).sum("user_id")).toBe(7);
+      expect(await Posts.where("user_id", 99).sum("user_id")).toBe(0);
+      expect(await Posts.where("user_id", 99).max("user_id")).toBeNull();
+    });
+
+    it("should pluck column values and a single value", async () => {
+      expect(await Posts.orderBy("title").pluck("title")).toEqual([
+        "Aggregate A",
+        "Aggregate B",
+        "Aggregate C",
+      ]);
+      expect(await Posts.pluck("user_id", "title")).toEqual({
+        "Aggregate A": 2,
+        "Aggregate B": 2,
+        "Aggregate C": 5,
+      });
+      expect(await Posts.orderBy("title", "DESC").value("title")).toBe(
+        "Aggregate C"
+      );
+      expect(await Posts.where("user_id", 99).value("title")).toBeNull();
+    });
+
+    it("should group aggregates and filter them with having", async () => {
+      const rows = await Posts.groupBy("user_id")
+        .selectAggregate({ total: ["count", "*"] })
+        .orderBy("user_id")
+        .get();
+      expect(rows).toEqual([
+        { user_id: 2, total: 2 },
+        { user_id: 5, total: 1 },
+      ]);
+
+      const busy = await Posts.groupBy("user_id")
+        .selectAggregate({ total: ["count", "*"], last: ["max", "title"] })
+        .having("total", ">", 1)
+        .get();
+      expect(busy).toEqual([{ user_id: 2, total: 2, last: "Aggregate B" }]);
+    });
+  });
+
+  describe("plain output", () => {
+    const PublicUsers = new Sequerizer(Users.table, {
+      hidden: ["password"],
+      appends: { label: (user) => `${user.name} <${user.phone}>` },
+    });
+
+    it("should strip hidden attributes and add appends", async () => {
+      const user = await PublicUsers.where("phone", "7770001")
+        .asPlain()
+        .first();
+
+      expect(user).not.toBeInstanceOf(Users.table);
+      expect(user).not.toHaveProperty("password");
+      expect(user.name).toBe("Upserted 1");
+      expect(user.label).toBe("Upserted 1 <7770001>");
+    });
+
+    it("should keep returning instances unless asked", async () => {
+      const user = await PublicUsers.where("phone", "7770001").first();
+      const raw = await Users.where("phone", "7770001").raw().get();
+
+      expect(user).toBeInstanceOf(Users.table);
+      expect(raw[0]).not.toBeInstanceOf(Users.table);
+      expect(raw[0].password).toBe("secret");
+    });
+
+    it("should serialize returned instances with the same shape", async () => {
+      const user = await PublicUsers.where("phone", "7770001").first();
+      const json = JSON.parse(JSON.stringify(user));
+
+      expect(user.password).toBe("secret");
+      expect(json).not.toHaveProperty("password");
+      expect(json.label).toBe("Upserted 1 <7770001>");
+      expect((await PublicUsers.find(user.id)).toJSON()).toEqual(
+        await PublicUsers.asPlain().find(user.id)
+      );
+    });
+
+    it("should only keep visible attributes", async () => {
+      const Names = new Sequerizer(Users.table, { visible: ["name"] });
+      const users = await Names.whereIn("phone", ["7770001", "7770002"])
+        .orderBy("phone")
+        .asPlain()
+        .get();
+
+      expect(users).toEqual([{ name: "Upserted 1" }, { name: "Updated 2" }]);
+    });
+
+    it(
+      "should strip hidden attributes of eager loaded rows",
+      harness.isolated(async () => {
+        const Authors = new Sequerizer(
+          sequelize.define("authors", blueprints.users[1], {
+            ...blueprints.users[2],
+          }),
+          { hidden: ["password"] }
+        );
+        const Articles = new Sequerizer(
+          sequelize.define("articles", blueprints.posts[1], {
+            ...blueprints.posts[2],
+          })
+        );
+        Articles.table.belongsTo(Authors.table, {
+          as: "author",
+          foreignKey: "user_id",
+          constraints: false,
+        });
+        Authors.table.hasMany(Articles.table, {
+          as: "articles",
+          foreignKey: "user_id",
+          constraints: false,
+        });
+        const author = await Authors.where("phone", "7770001").first();
+        await Articles.create({ user_id: author.id, title: "Hidden author" });
+
+        const article = await Articles.with("author.articles")
+          .where("title", "Hidden author")
+          .asPlain()
+          .first();
+        expect(article.author.name).toBe("Upserted 1");
+        expect(article.author).not.toHaveProperty("password");
+        expect(article.author.articles[0].title).toBe("Hidden author");
+
+        const authors = await Authors.with("articles")
+          .where("phone", "7770001")
+          .asPlain()
+          .get();
+        expect(authors[0]).not.toHaveProperty("password");
+        expect(authors[0].articles).toHaveLength(1);
+      })
+    );
+
+    it("should transform rows with a function or resource class", async () => {
+      class UserResource {
+        constructor(user) {
+          this.user = user;
+        }
+
+        toJSON() {
+          return { id: this.user.id, display: this.user.label };
+        }
+      }
+
+      const names = await PublicUsers.where("phone", "7770001")
+        .transform((user) => user.name.toUpperCase())
+        .get();
+      const page = await PublicUsers.where("phone", "7770001")
+        .transform(UserResource)
+        .paginate(1, 5);
+
+      expect(names).toEqual(["UPSERTED 1"]);
+      expect(page.total).toBe(1);
+      expect(page.data).toEqual([
+        { id: expect.anything(), display: "Upserted 1 <7770001>" },
+      ]);
+      expect(() => PublicUsers.transform("name")).toThrow(ModelError);
+    });
+  });
+
+  describe("debugging", () => {
+    it("should expose the built options without running them", () => {
+      const query = Users.where("name", "User 1")
+        .orderBy("id", "DESC")
+        .limit(3);
+
+      expect(query.toOptions()).toMatchObject({
+        where: { name: "User 1" },
+        order: [["id", "DESC"]],
+        limit: 3,
+      });
+      expect(query.toOptions()).toEqual(query.toOptions());
+    });
+
+    it("should compile the SQL of get", () => {
+      const sql = Users.where("name", "User 1")
+        .orderBy("id", "DESC")
+        .limit(3)
+        .toSQL();
+
+      expect(sql).toMatch(/^SELECT .* FROM `users` AS `users`/);
+      expect(sql).toContain("`users`.`name` = 'User 1'");
+      expect(sql).toContain("ORDER BY `users`.`id` DESC LIMIT 3");
+    });
+
+    it("should return the query plan", async () => {
+      const plan = await Users.where("name", "User 1").explain();
+      expect(Array.isArray(plan)).toBe(true);
+      expect(plan.length).toBeGreaterThan(0);
+    });
+
+    it("should log queries with timings and report slow ones", async () => {
+      const LoggedUsers = new Sequerizer(Users.table);
+      const slow = [];
+      LoggedUsers.enableQueryLog().onSlowQuery(0, (entry) => slow.push(entry));
+
+      await LoggedUsers.where("name", "User 1").count();
+      const log = LoggedUsers.getQueryLog();
+
+      expect(log).toHaveLength(1);
+      expect(log[0].sql).toMatch(/^SELECT count\(/i);
+      expect(typeof log[0].time).toBe("number");
+      expect(log[0].identifier).toBe("users");
+      expect(slow).toEqual(log);
+
+      LoggedUsers.flushQueryLog();
+      expect(LoggedUsers.getQueryLog()).toEqual([]);
+      await Users.count();
+      expect(LoggedUsers.getQueryLog()).toEqual([]);
+    });
+  });
+
+  describe("validation", () => {
+    const ValidatedUsers = new Sequerizer(Users.table, {
+      rules: {
+        name: { required: true, type: "string", length: { min: 3, max: 30 } },
+        phone: { required: true, regex: /^\d+$/, unique: true },
+        password: {
+          required: true,
+          custom: async (value) =>
+            value !== "password" || "password is too common",
+        },
+      },
+      fillable: ["name", "phone", "password"],
+    });
+
+    it("should collect every failed rule into a ValidationError", async () => {
+      const error = await ValidatedUsers.create({
+        name: "Al",
+        phone: "7770001",
+        password: "password",
+      }).catch((error) => error);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toBeInstanceOf(ModelError);
+      expect(error.code).toBe("VALIDATION_FAILED");
+      expect(error.statusCode).toBe(422);
+      expect(error.operation).toBe("create");
+      expect(error.details).toEqual([
+        {
+          field: "name",
+          message: "name must be between 3 and 30 characters long",
+          type: "length",
+        },
+        {
+          field: "phone",
+          message: "phone has already been taken",
+          type: "unique",
+        },
+        {
+          field: "password",
+          message: "password is too common",
+          type: "custom",
+        },
+      ]);
+    });
+
+    it("should prefix the fields of bulk inserts with the row index", async () => {
+      const error = await ValidatedUsers.insert([
+        { name: "Valid", phone: "7770010", password: "secret" },
+        { name: "Invalid", phone: "77-70011" },
+      ]).catch((error) => error);
+
+      expect(error.details.map((detail) => detail.field)).toEqual([
+        "1.phone",
+        "1.password",
+      ]);
+      expect(await Users.where("phone", "7770010").exists()).toBe(false);
+    });
+
+    it("should only validate the given fields on update", async () => {
+      await expect(
+        ValidatedUsers.where("phone", "7770001").update({ name: "Renamed 1" })
+      ).resolves.toBeDefined();
+      await expect(
+        ValidatedUsers.where("phone", "7770001").update({ phone: "7770001" })
+      ).resolves.toBeDefined();
+
+      const error = await ValidatedUsers.where("phone", "7770001")
+        .update({ phone: "7770002" })
+        .catch((error) => error);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details[0].type).toBe("unique");
+    });
+
+    it("should strip or reject attributes outside fillable", async () => {
+      const user = await ValidatedUsers.create({
+        name: "Fillable",
+        phone: "7770012",
+        password: "secret",
+        status: false,
+      });
+      expect(user.status).toBe(true);
+
+      const Strict = new Sequerizer(Users.table, {
+        guarded: ["status"],
+        massAssignment: "reject",
+      });
+      const error = await Strict.create({
+        name: "Guarded",
+        phone: "7770013",
+        password: "secret",
+        status: false,
+        unknown: 1,
+      }).catch((error) => error);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.code).toBe("MASS_ASSIGNMENT");
+      expect(error.details.map((detail) => detail.field)).toEqual([
+        "status",
+        "unknown",
+      ]);
+    });
+
+    it("should reject invalid rule definitions", () => {
+      expect(
+        () => new Sequerizer(Users.table, { rules: { name: { size: 3 } } })
+      ).toThrow(ModelError);
+      expect(
+        () => new Sequerizer(Users.table, { massAssignment: "ignore" })
+      ).toThrow(ModelError);
+    });
+  });
+
+  describe("arguments", () => {
+    it("should tell arrays, plain objects and null apart", async () => {
+      expect(() => Users.whereIn("name", {})).toThrow(
+        "whereIn expects values to be an array, got object"
+      );
+      expect(() => Users.needColumns(null)).toThrow(
+        "needColumns expects columns to be an array, got null"
+      );
+      expect(() => Users.where(["name"])).toThrow(
+        "where expects columnOrConditions to be a plain object, got array"
+      );
+      await expect(Users.count([])).rejects.toThrow(
+        "count expects conditions to be a plain object or null, got array"
+      );
+      expect(await Users.count(null)).toBe(await Users.count());
+    });
+
+    it("should check integers and unions", async () => {
+      expect(() => Users.limit(-1)).toThrow(
+        "limit expects limitValue to be a non negative integer, got number"
+      );
+      expect(() => Users.offset(1.5)).toThrow(ModelError);
+      expect(() => Users.option(1)).toThrow(
+        "option expects keyOrOptions to be a string or a plain object, got number"
+      );
+      await expect(Users.insert("name")).rejects.toThrow(
+        "insert expects data to be a plain object or an array, got string"
+      );
+    });
+
+    it("should throw ModelError coded INVALID_ARGUMENT", () => {
+      const error = (() => {
+        try {
+          Users.whereBetween("id", [1]);
+        } catch (error) {
+          return error;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(ModelError);
+      expect(error.code).toBe("INVALID_ARGUMENT");
+      expect(error.operation).toBe("whereBetween");
+    });
+
+    it("should check having, global scopes, hooks and config when called", () => {
+      expect(() => Users.having(5)).toThrow(
+        "having expects columnOrConditions to be a string or a plain object, got number"
+      );
+      expect(() => Users.query().orHaving(null)).toThrow(ModelError);
+      expect(() => Users.query().withoutGlobalScope(5)).toThrow(
+        "withoutGlobalScope expects name to be a string, got number"
+      );
+      expect(() => new Sequerizer(Users.table, null)).toThrow(
+        "Sequerizer expects config to be a plain object, got null"
+      );
+      [
+        () => Users.on("saving", 1),
+        () => Users.on("savin", () => {}),
+        () => Users.off("saving", 1),
+        () => Users.onSlowQuery(-1, () => {}),
+        () => Users.onSlowQuery(10, null),
+      ].forEach((call) => {
+        expect(call).toThrow(
+          expect.objectContaining({ code: "INVALID_ARGUMENT" })
+        );
+      });
+    });
+  });
+
+  describe("cache", () => {
+    const store = new MemoryStore();
+    const CachedUsers = new Sequerizer(Users.table, { cache: store });
+
+    it("should serve remembered reads until a write", async () => {
+      const query = CachedUsers.where("phone", "7770001").remember(60);
+      const fresh = await query.first();
+      await Users.table.update(
+        { name: "Changed behind" },
+        { where: { phone: "7770001" } }
+      );
+
+      const cached = await query.first();
+      expect(cached).toBeInstanceOf(Users.table);
+      expect(cached.name).toBe(fresh.name);
+      expect(cached.created_at).toBeInstanceOf(Date);
+      expect(await query.count()).toBe(1);
+
+      await CachedUsers.where("phone", "7770001").update({ name: "Changed" });
+      expect((await query.first()).name).toBe("Changed");
+    });
+
+    it("should key reads by their options or the given key", async () => {
+      const a = await CachedUsers.where("phone", "7770001").remember(60).get();
+      const b = await CachedUsers.where("phone", "7770002").remember(60).get();
+      expect(a[0].phone).toBe("7770001");
+      expect(b[0].phone).toBe("7770002");
+
+      const keyed = await CachedUsers.where("phone", "7770002")
+        .remember(60, "by-key")
+        .get();
+      const same = await CachedUsers.where("phone", "7770001")
+        .remember(60, "by-key")
+        .get();
+      expect(same[0].phone).toBe(keyed[0].phone);
+    });
+
+    it("should evict the least recently used and expired entries", async () => {
+      const lru = new MemoryStore({ max: 2 });
+      await lru.set("a", "1");
+      await lru.set("b", "2", 60);
+      await lru.get("a");
+      await lru.set("c", "3");
+      expect(await lru.get("b")).toBeUndefined();
+      expect(await lru.get("a")).toBe("1");
+
+      await lru.set("d", "4", 0.001);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(await lru.get("d")).toBeUndefined();
+    });
+
+    it("should invalidate reads of related models across stores", async () => {
+      const CachedPosts = new Sequerizer(Posts.table, {
+        cache: new MemoryStore(),
+      });
+      const author = await Users.create({
+        name: "Cached author",
+        phone: "7770099",
+        password: "secret",
+      });
+      await Posts.insert({ user_id: author.id, title: "Cached post" });
+
+      const loaded = CachedUsers.where("phone", "7770099")
+        .with("posts")
+        .remember(60);
+      const having = CachedUsers.where("phone", "7770099")
+        .whereHas("posts")
+        .remember(60);
+      expect((await loaded.first()).posts).toHaveLength(1);
+      expect(await having.count()).toBe(1);
+
+      await CachedPosts.where("user_id", author.id).delete();
+      expect((await loaded.first()).posts).toHaveLength(0);
+      expect(await having.count()).toBe(0);
+
+      await Posts.forceDelete({ user_id: author.id });
+      await Users.forceDelete({ phone: "7770099" });
+    });
+
+    it("should read the database with remember(0)", async () => {
+      const query = CachedUsers.where("name", "Zero ttl").remember(0);
+      expect(await query.count()).toBe(0);
+
+      await Users.table.create({
+        name: "Zero ttl",
+        phone: "7770098",
+        password: "secret",
+      });
+      expect(await query.count()).toBe(1);
+      await Users.table.destroy({ where: { phone: "7770098" } });
+
+      await store.set("zero", "1", 0);
+      expect(await store.get("zero")).toBeUndefined();
+    });
+
+    it("should flush again when the outermost transaction commits", async () => {
+      const set = jest.spyOn(store, "set");
+      const flushes = () =>
+        set.mock.calls.filter(([key]) => key === "sequerizer:tag:users").length;
+      let released = null;
+
+      await Sequerizer.transaction(sequelize, async () => {
+        await Sequerizer.transaction(sequelize, async () => {
+          await CachedUsers.where("phone", "7770001").update({
+            name: "Savepoint",
+          });
+        });
+        released = flushes();
+      });
+
+      expect(released).toBe(1);
+      expect(flushes()).toBe(2);
+      set.mockRestore();
+    });
+
+    it("should need a store to remember", () => {
+      expect(() => Users.remember(60)).toThrow(ModelError);
+      expect(() => new Sequerizer(Users.table, { cache: {} })).toThrow(
+        ModelError
+      );
+    });
+  });
 });
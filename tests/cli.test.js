@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const { Sequelize } = require("sequelize");
+const { run, parseArguments } = require("../lib/cli");
+
+// Inside the repository so the generated files resolve sequelize
+const root = fs.mkdtempSync(path.join(__dirname, ".cli-"));
+const sequelize = new Sequelize({
+  dialect: "sqlite",
+  storage: ":memory:",
+  logging: false,
+});
+const config = { connection: sequelize };
+
+const cli = async (...argv) => {
+  const output = { lines: [], errors: [] };
+  const code = await run(argv, {
+    cwd: root,
+    config,
+    output: {
+      log: (line) => output.lines.push(line),
+      error: (line) => output.errors.push(line),
+    },
+  });
+  return { code, ...output };
+};
+
+const read = (...parts) => fs.readFileSync(path.join(root, ...parts), "utf8");
+
+describe("Command line", () => {
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("should parse commands, arguments and flags", () => {
+    expect(
+      parseArguments(["migrate:rollback", "--steps=2", "--force"])
+    ).toEqual({
+      command: "migrate:rollback",
+      args: [],
+      flags: { steps: "2", force: true },
+    });
+    expect(parseArguments([]).command).toBe("help");
+  });
+
+  it("should reject unknown commands", async () => {
+    const { code, errors } = await cli("make:controller");
+
+    expect(code).toBe(1);
+    expect(errors[0]).toContain("Unknown command make:controller");
+  });
+
+  it("should make a blueprint and a model", async () => {
+    const { code } = await cli("make:model", "BlogPosts");
+
+    expect(code).toBe(0);
+    expect(read("blueprints", "blog_posts.js")).toContain(
+      'tableName: "blog_posts"'
+    );
+    expect(read("models", "BlogPosts.js")).toContain(
+      'const blueprint = require("../blueprints/blog_posts");'
+    );
+    expect(read("models", "BlogPosts.js")).toContain(
+      "new Sequerizer(sequelize.define(...blueprint))"
+    );
+
+    const again = await cli("make:model", "BlogPosts");
+    expect(again.code).toBe(1);
+    expect(again.errors[0]).toContain("already exists");
+  });
+
+  it("should make a factory from the blueprint", async () => {
+    fs.writeFileSync(
+      path.join(root, "blueprints", "blog_posts.js"),
+      `const { DataTypes } = require("sequelize");
+
+module.exports = [
+  "blog_posts",
+  {
+    id: { type: DataTypes.BIGINT, autoIncrement: true, primaryKey: true },
+    title: { type: DataTypes.STRING, allowNull: false },
+    published: { type: DataTypes.BOOLEAN, defaultValue: false },
+  },
+  { tableName: "blog_posts", timestamps: false },
+];
+`
+    );
+
+    const { code } = await cli("make:factory", "BlogPosts");
+
+    expect(code).toBe(0);
+    const source = read("factories", "BlogPostsFactory.js");
+    expect(source).toContain("module.exports = ({ BlogPosts }) =>");
+    expect(source).toContain("title: `title ${sequence}`,");
+    expect(source).toContain("published: true,");
+    expect(source).not.toContain("id:");
+  });
+
+  it("should make and run the migrations of the blueprints", async () => {
+    const made = await cli("make:migration", "create blog posts");
+    expect(made.code).toBe(0);
+    expect(made.lines[0]).toMatch(/_create_blog_posts\.js$/);
+
+    const migrated = await cli("migrate");
+    expect(migrated.lines[0]).toMatch(
+      /^Migrated \d{14}_create_blog_posts\.js$/
+    );
+
+    const status = await cli("migrate:status");
+    expect(status.lines[0]).toMatch(
+      /^Ran \(batch 1\)\s+\d{14}_create_blog_posts/
+    );
+
+    const nothing = await cli("make:migration", "again");
+    expect(nothing.lines).toEqual(["Nothing to migrate"]);
+
+    const rolledBack = await cli("migrate:rollback");
+    expect(rolledBack.lines[0]).toMatch(/^Rolled back/);
+    expect(await sequelize.getQueryInterface().showAllTables()).not.toContain(
+      "blog_posts"
+    );
+  });
+
+  it("should seed with the models loaded", async () => {
+    const lib = JSON.stringify(path.join(__dirname, "..", "lib", "Sequerizer"));
+    fs.writeFileSync(
+      path.join(root, "models", "BlogPosts.js"),
+      `const { Sequerizer } = require(${lib});
+const blueprint = require("../blueprints/blog_posts");
+
+module.exports = (sequelize) => new Sequerizer(sequelize.define(...blueprint));
+`
+    );
+    fs.mkdirSync(path.join(root, "seeders"));
+    fs.writeFileSync(
+      path.join(root, "seeders", "DatabaseSeeder.js"),
+      `const { Seeder } = require(${lib});
+
+module.exports = class DatabaseSeeder extends Seeder {
+  async run({ models }) {
+    await models.BlogPosts.insert([{ title: "First" }, { title: "Second" }]);
+  }
+};
+`
+    );
+
+    const { code, lines } = await cli("migrate:fresh", "--seed");
+
+    expect(code).toBe(0);
+    expect(lines).toContain("Seeded DatabaseSeeder");
+    const [[{ total }]] = await sequelize.query(
+      "SELECT COUNT(*) AS total FROM blog_posts"
+    );
+    expect(total).toBe(2);
+  });
+
+  it("should wire blueprint associations for the seeders", async () => {
+    fs.writeFileSync(
+      path.join(root, "blueprints", "writers.js"),
+      `const { DataTypes } = require("sequelize");
+
+module.exports = [
+  "writers",
+  { name: { type: DataTypes.STRING, allowNull: false } },
+  { tableName: "writers", timestamps: false },
+  {
+    associations: {
+      stories: { type: "hasMany", model: "stories", foreignKey: "writer_id" },
+    },
+  },
+];
+`
+    );
+    fs.writeFileSync(
+      path.join(root, "blueprints", "stories.js"),
+      `const { DataTypes } = require("sequelize");
+
+module.exports = [
+  "stories",
+  { title: { type: DataTypes.STRING, allowNull: false } },
+  { tableName: "stories", timestamps: false },
+];
+`
+    );
+    const lib = JSON.stringify(path.join(__dirname, "..", "lib", "Sequerizer"));
+    fs.writeFileSync(
+      path.join(root, "seeders", "WritersSeeder.js"),
+      `const { Seeder } = require(${lib});
+
+module.exports = class WritersSeeder extends Seeder {
+  async run({ models }) {
+    await models.Writers.table.sync();
+    await models.Stories.table.sync();
+    const writer = await models.Writers.create({ name: "Writer" });
+    await models.Stories.create({ title: "Story", writer_id: writer.id });
+    const loaded = await models.Writers.with("stories").first();
+    if (loaded.stories.length !== 1) throw new Error("stories not loaded");
+  }
+};
+`
+    );
+
+    const { code, errors } = await cli("db:seed", "--class=WritersSeeder");
+
+    expect(errors).toEqual([]);
+    expect(code).toBe(0);
+  });
+
+  it("should name a missing seeder", async () => {
+    const { code, errors } = await cli("db:seed", "--class=UsersSeeder");
+
+    expect(code).toBe(1);
+    expect(errors).toEqual(["Seeder UsersSeeder doesn't exist"]);
+  });
+});
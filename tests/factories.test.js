@@ -0,0 +1,135 @@
+const { harness } = require("../jest.setup");
+const {
+  defineFactory,
+  Seeder,
+  runSeeders,
+  ModelError,
+} = require("../lib/Sequerizer");
+
+const Users = harness.model("users");
+const Posts = harness.model("posts");
+
+Users.table.hasMany(Posts.table, {
+  as: "posts",
+  foreignKey: "user_id",
+  constraints: false,
+});
+
+const userFactory = defineFactory(
+  Users,
+  ({ sequence }) => ({
+    name: `User ${sequence}`,
+    phone: `555000${sequence}`,
+    password: "secret",
+    validated_at: new Date(),
+  }),
+  { states: { unverified: { validated_at: null } } }
+);
+
+const postFactory = defineFactory(Posts, ({ sequence }) => ({
+  title: `Post ${sequence}`,
+}));
+
+describe("Factories", () => {
+  beforeEach(async () => {
+    await harness.truncate();
+    userFactory.resetSequence();
+    postFactory.resetSequence();
+  });
+
+  it("should make unsaved instances", async () => {
+    const user = userFactory.make({ name: "Made" });
+
+    expect(user.isNewRecord).toBe(true);
+    expect(user.name).toBe("Made");
+    expect(user.phone).toBe("5550001");
+    expect(userFactory.makeMany(2).map((item) => item.phone)).toEqual([
+      "5550002",
+      "5550003",
+    ]);
+    expect(await Users.count()).toBe(0);
+  });
+
+  it("should create rows with sequences, states and overrides", async () => {
+    const user = await userFactory.state("unverified").create();
+    expect(user.id).toBeDefined();
+    expect(user.validated_at).toBeNull();
+
+    const users = await userFactory
+      .sequence({ status: true }, { status: false })
+      .createMany(3, (attributes) => ({ name: `${attributes.name}!` }));
+
+    expect(users.map((item) => item.name)).toEqual([
+      "User 2!",
+      "User 3!",
+      "User 4!",
+    ]);
+    expect(users.map((item) => item.status)).toEqual([true, false, true]);
+    expect(await Users.count()).toBe(4);
+  });
+
+  it("should create related rows with has", async () => {
+    const users = await userFactory.has(postFactory, 3).createMany(2);
+
+    expect(await Posts.count()).toBe(6);
+    expect(await Posts.where({ user_id: users[1].id }).count()).toBe(3);
+  });
+
+  it("should refuse unknown states and missing associations", () => {
+    expect(() => userFactory.state("banned")).toThrow(
+      "Unknown state banned of users factory"
+    );
+    expect(() => postFactory.has(userFactory)).toThrow(ModelError);
+    expect(() => defineFactory(Users.table, () => ({}))).toThrow(
+      "defineFactory needs a Sequerizer instance"
+    );
+  });
+});
+
+describe("Seeders", () => {
+  beforeEach(async () => {
+    await harness.truncate();
+  });
+
+  it("should run the seeders in order", async () => {
+    const order = [];
+    class UsersSeeder extends Seeder {
+      async run() {
+        order.push("users");
+        await userFactory.createMany(2);
+      }
+    }
+    class PostsSeeder extends Seeder {
+      async run() {
+        order.push("posts");
+        const user = await Users.first();
+        await postFactory.createMany(2, { user_id: user.id });
+      }
+    }
+    class DatabaseSeeder extends Seeder {
+      async run() {
+        await this.call(UsersSeeder, PostsSeeder);
+      }
+    }
+
+    const ran = await runSeeders(harness.sequelize, [DatabaseSeeder]);
+
+    expect(order).toEqual(["users", "posts"]);
+    expect(ran).toEqual(["UsersSeeder", "PostsSeeder", "DatabaseSeeder"]);
+    expect(await Posts.count()).toBe(2);
+  });
+
+  it("should keep nothing when a seeder fails", async () => {
+    const failing = async () => {
+      throw new Error("seed failed");
+    };
+
+    await expect(
+      runSeeders(harness.sequelize, [
+        async () => userFactory.createMany(2),
+        failing,
+      ])
+    ).rejects.toThrow("seed failed");
+    expect(await Users.count()).toBe(0);
+  });
+});
@@ -0,0 +1,163 @@
+const {
+  Sequerizer,
+  ModelError,
+  NotFoundError,
+  CreateError,
+  sequerizerErrorHandler,
+  sequerizerKoaErrorHandler,
+  bindModel,
+  bindModelKoa,
+} = require("../lib/Sequerizer");
+
+// Minimal stand-in of a Sequelize model, find only needs findOne
+const rows = [{ id: 1, name: "User 1" }];
+const table = {
+  name: "users",
+  primaryKeyAttribute: "id",
+  primaryKeyAttributes: ["id"],
+  options: {},
+  associations: {},
+  findOne: async ({ where }) =>
+    rows.find((row) => String(row.id) === String(where.id)) || null,
+};
+const Users = new Sequerizer(table);
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+describe("sequerizerErrorHandler", () => {
+  it("should respond with a JSON problem for ModelError", () => {
+    const res = mockResponse();
+    const next = jest.fn();
+    const error = new NotFoundError("users not found", {
+      identifier: "users",
+      operation: "find",
+    });
+
+    sequerizerErrorHandler()(error, {}, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.type).toHaveBeenCalledWith("application/problem+json");
+    expect(JSON.parse(res.send.mock.calls[0][0])).toEqual({
+      type: "about:blank",
+      title: "NotFoundError",
+      status: 404,
+      detail: "users not found",
+      name: "NotFoundError",
+      code: "NOT_FOUND",
+      message: "users not found",
+      identifier: "users",
+      operation: "find",
+      details: [],
+    });
+  });
+
+  it("should hide messages of server errors unless exposed", () => {
+    const error = new CreateError("Error creating users: ER_NO_SUCH_TABLE");
+
+    const res = mockResponse();
+    sequerizerErrorHandler()(error, {}, res, jest.fn());
+    expect(JSON.parse(res.send.mock.calls[0][0]).detail).toBe(
+      "Internal Server Error"
+    );
+
+    const exposed = mockResponse();
+    const onError = jest.fn();
+    sequerizerErrorHandler({ expose: true, onError })(
+      error,
+      {},
+      exposed,
+      jest.fn()
+    );
+    expect(JSON.parse(exposed.send.mock.calls[0][0]).detail).toBe(
+      error.message
+    );
+    expect(onError).toHaveBeenCalledWith(error, {});
+  });
+
+  it("should pass other errors on", () => {
+    const next = jest.fn();
+    const error = new Error("boom");
+    sequerizerErrorHandler()(error, {}, mockResponse(), next);
+    expect(next).toHaveBeenCalledWith(error);
+  });
+
+  it("should leave responses already being sent to express", () => {
+    const res = { ...mockResponse(), headersSent: true };
+    const next = jest.fn();
+    const error = new NotFoundError("users not found");
+
+    sequerizerErrorHandler()(error, {}, res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it("should handle ModelError in koa", async () => {
+    const ctx = {};
+    await sequerizerKoaErrorHandler()(ctx, async () => {
+      throw new ModelError("Bad input", { statusCode: 400 });
+    });
+
+    expect(ctx.status).toBe(400);
+    expect(ctx.type).toBe("application/problem+json");
+    expect(ctx.body.code).toBe("MODEL_ERROR");
+
+    await expect(
+      sequerizerKoaErrorHandler()({}, async () => {
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+  });
+});
+
+describe("bindModel", () => {
+  it("should attach the record found by the route param", async () => {
+    const req = { params: { userId: "1" } };
+    const next = jest.fn();
+
+    await bindModel(Users, "userId", { as: "user" })(req, {}, next);
+
+    expect(req.user.name).toBe("User 1");
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should hand a NotFoundError to the error handler", async () => {
+    const next = jest.fn();
+    await bindModel(Users)({ params: { id: "404" } }, {}, next);
+    expect(next.mock.calls[0][0]).toBeInstanceOf(NotFoundError);
+  });
+
+  it("should report a route param missing from the route", async () => {
+    const next = jest.fn();
+    await bindModel(Users, "userId")({ params: { id: "1" } }, {}, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error).toBeInstanceOf(ModelError);
+    expect(error.code).toBe("MISSING_ROUTE_PARAM");
+    expect(error.message).toBe(
+      "bindModel needs the route param userId, got: id"
+    );
+
+    const koaNext = jest.fn();
+    await expect(
+      bindModelKoa(Users)({ params: {}, state: {} }, koaNext)
+    ).rejects.toMatchObject({ code: "MISSING_ROUTE_PARAM" });
+    expect(koaNext).not.toHaveBeenCalled();
+  });
+
+  it("should attach the record to ctx.state in koa", async () => {
+    const ctx = { params: { id: "1" }, state: {} };
+    const next = jest.fn();
+    await bindModelKoa(Users)(ctx, next);
+
+    expect(ctx.state.record.id).toBe(1);
+    expect(next).toHaveBeenCalled();
+  });
+});
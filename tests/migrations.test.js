@@ -0,0 +1,169 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Sequelize, DataTypes } = require("sequelize");
+const { blueprints } = require("../jest.setup");
+const { Migrator, MigrationError } = require("../lib/Sequerizer");
+
+// Own database, fresh drops every table
+const sequelize = new Sequelize({
+  dialect: "sqlite",
+  storage: ":memory:",
+  logging: false,
+});
+const queryInterface = sequelize.getQueryInterface();
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "sequerizer-"));
+const migrator = new Migrator(sequelize, { directory });
+
+const withPhoneVerified = {
+  ...blueprints,
+  users: [
+    blueprints.users[0],
+    {
+      ...blueprints.users[1],
+      phone_verified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    },
+    blueprints.users[2],
+  ],
+};
+
+describe("Migrations", () => {
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("should write the migration creating the blueprint tables", async () => {
+    const file = await migrator.make("create users and posts", blueprints);
+
+    expect(path.basename(file)).toMatch(/^\d{14}_create_users_and_posts\.js$/);
+    const source = fs.readFileSync(file, "utf8");
+    expect(source).toContain('await queryInterface.createTable("users", {');
+    expect(source).toContain("type: Sequelize.STRING,");
+    expect(source).toContain('await queryInterface.dropTable("posts");');
+    expect(await migrator.pending()).toEqual([path.basename(file)]);
+  });
+
+  it("should refuse to diff with pending migrations", async () => {
+    await expect(migrator.make("again", blueprints)).rejects.toThrow(
+      MigrationError
+    );
+  });
+
+  it("should migrate and record the batch", async () => {
+    const [name] = await migrator.migrate();
+
+    expect(await queryInterface.showAllTables()).toEqual(
+      expect.arrayContaining(["users", "posts", "sequerizer_migrations"])
+    );
+    const [status] = await migrator.status();
+    expect(status).toMatchObject({ name, applied: true, batch: 1 });
+    expect(await migrator.make("nothing", blueprints)).toBeNull();
+  });
+
+  it("should migrate the columns added to a blueprint", async () => {
+    const file = await migrator.make("add phone verified", withPhoneVerified);
+    const source = fs.readFileSync(file, "utf8");
+
+    expect(source).toContain(
+      'await queryInterface.addColumn("users", "phone_verified", {'
+    );
+    expect(source).toContain(
+      'await queryInterface.removeColumn("users", "phone_verified");'
+    );
+    await migrator.migrate();
+
+    const columns = await queryInterface.describeTable("users");
+    expect(columns).toHaveProperty("phone_verified");
+    expect((await migrator.status()).map((item) => item.batch)).toEqual([1, 2]);
+  });
+
+  it("should roll back the last batch", async () => {
+    const rolledBack = await migrator.rollback();
+
+    expect(rolledBack).toHaveLength(1);
+    expect(rolledBack[0]).toMatch(/_add_phone_verified\.js$/);
+    const columns = await queryInterface.describeTable("users");
+    expect(columns).not.toHaveProperty("phone_verified");
+    expect((await migrator.pending()).length).toBe(1);
+  });
+
+  it("should rebuild the database with fresh", async () => {
+    await queryInterface.createTable("leftovers", {
+      id: { type: DataTypes.INTEGER, primaryKey: true },
+    });
+
+    const ran = await migrator.fresh();
+
+    expect(ran).toHaveLength(2);
+    expect(await queryInterface.showAllTables()).not.toContain("leftovers");
+    expect((await migrator.status()).every((item) => item.batch === 1)).toBe(
+      true
+    );
+  });
+
+  it("should create the foreign keys of blueprint associations", async () => {
+    // In file name order as the directory loader lists them, articles
+    // references authors
+    const withAuthors = {
+      articles: [
+        "articles",
+        { title: { type: DataTypes.STRING, allowNull: false } },
+        { tableName: "articles", timestamps: false },
+      ],
+      authors: [
+        "authors",
+        { name: { type: DataTypes.STRING, allowNull: false } },
+        { tableName: "authors", timestamps: false },
+        {
+          associations: {
+            articles: {
+              type: "hasMany",
+              model: "articles",
+              foreignKey: "author_id",
+            },
+          },
+        },
+      ],
+    };
+
+    const file = await migrator.make("create authors", withAuthors);
+    const source = fs.readFileSync(file, "utf8");
+    expect(source).toMatch(
+      /createTable\("articles", \{[\s\S]*author_id: \{[\s\S]*model: "authors"/
+    );
+    expect(source.indexOf('createTable("authors"')).toBeLessThan(
+      source.indexOf('createTable("articles"')
+    );
+    expect(source.indexOf('dropTable("articles")')).toBeLessThan(
+      source.indexOf('dropTable("authors")')
+    );
+    await migrator.migrate();
+
+    const columns = await queryInterface.describeTable("articles");
+    expect(columns).toHaveProperty("author_id");
+    expect(await migrator.diff(withAuthors)).toEqual([]);
+  });
+
+  it("should wrap the errors of a migration", async () => {
+    const file = migrator.makeBlank("broken");
+    fs.writeFileSync(
+      file,
+      `module.exports = {
+  up: async (queryInterface) => queryInterface.removeColumn("missing", "id"),
+  down: async () => {},
+};
+`
+    );
+
+    await expect(migrator.migrate()).rejects.toMatchObject({
+      name: "MigrationError",
+      operation: "migrate",
+    });
+    expect(await migrator.pending()).toEqual([path.basename(file)]);
+  });
+});
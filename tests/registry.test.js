@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { Sequelize, DataTypes } = require("sequelize");
+const { blueprints } = require("../jest.setup");
+const { Sequerizer, Registry, ModelError } = require("../lib/Sequerizer");
+
+const memory = () =>
+  new Sequelize({ dialect: "sqlite", storage: ":memory:", logging: false });
+
+const withAssociations = {
+  users: [
+    ...blueprints.users,
+    {
+      config: { hidden: ["password"] },
+      associations: {
+        posts: { type: "hasMany", model: "posts", foreignKey: "user_id" },
+        roles: {
+          type: "belongsToMany",
+          model: "roles",
+          through: "role_user",
+          foreignKey: "user_id",
+          otherKey: "role_id",
+          timestamps: false,
+        },
+      },
+    },
+  ],
+  posts: [
+    ...blueprints.posts,
+    {
+      associations: {
+        author: { type: "belongsTo", model: "users", foreignKey: "user_id" },
+      },
+    },
+  ],
+  roles: [
+    "roles",
+    { name: { type: DataTypes.STRING, allowNull: false } },
+    { tableName: "roles", timestamps: false },
+  ],
+  page_views: [
+    "page_views",
+    { path: { type: DataTypes.STRING, allowNull: false } },
+    { tableName: "page_views", timestamps: false },
+    { connection: "analytics" },
+  ],
+};
+
+describe("Registry", () => {
+  const registry = Sequerizer.boot({
+    connection: memory(),
+    connections: { analytics: memory() },
+    blueprints: withAssociations,
+  });
+  const { Users, Posts, Roles, PageViews } = registry.models;
+
+  beforeAll(async () => {
+    await registry.connection().sync();
+    await registry.connection("analytics").sync();
+  });
+
+  afterAll(async () => {
+    await registry.close();
+  });
+
+  it("should wrap every blueprint in a Sequerizer", () => {
+    expect(registry).toBeInstanceOf(Registry);
+    expect(Object.keys(registry.models)).toEqual([
+      "Users",
+      "Posts",
+      "Roles",
+      "PageViews",
+    ]);
+    expect(Users).toBeInstanceOf(Sequerizer);
+    expect(Users.hidden).toEqual(["password"]);
+    expect(registry.model("users")).toBe(Users);
+    expect(() => registry.model("comments")).toThrow(
+      "Unknown model comments, booted: Users, Posts, Roles, PageViews"
+    );
+  });
+
+  it("should wire the declared associations", async () => {
+    const user = await Users.create({
+      name: "Booted",
+      phone: "6660001",
+      password: "secret",
+    });
+    await Posts.insert([
+      { user_id: user.id, title: "First" },
+      { user_id: user.id, title: "Second" },
+    ]);
+    const role = await Roles.create({ name: "admin" });
+    await user.addRoles([role]);
+
+    const found = await Users.with("posts", "roles").find(user.id);
+    expect(found.posts).toHaveLength(2);
+    expect(found.roles.map((item) => item.name)).toEqual(["admin"]);
+
+    const post = await Posts.with("author").first();
+    expect(post.author.name).toBe("Booted");
+  });
+
+  it("should define models on their named connection", async () => {
+    expect(PageViews.table.sequelize).toBe(registry.connection("analytics"));
+    await PageViews.create({ path: "/" });
+    expect(await PageViews.count()).toBe(1);
+    expect(
+      await registry.connection().getQueryInterface().showAllTables()
+    ).not.toContain("page_views");
+  });
+
+  it("should refuse broken declarations", () => {
+    const boot = (extra) =>
+      Sequerizer.boot({
+        connection: memory(),
+        blueprints: {
+          roles: [...withAssociations.roles, extra],
+        },
+      });
+
+    expect(() =>
+      boot({ associations: { users: { type: "hasMany", model: "users" } } })
+    ).toThrow("Unknown model users, booted: Roles");
+    expect(() =>
+      boot({ associations: { roles: { type: "hasSome", model: "roles" } } })
+    ).toThrow("Association roles of roles has type hasSome");
+    expect(() => boot({ connection: "reports" })).toThrow(
+      "Unknown connection reports, booted: default"
+    );
+    expect(() => Sequerizer.boot({ blueprints: {} })).toThrow(ModelError);
+  });
+
+  it("should load the blueprints directory", async () => {
+    // Inside the repository so the blueprint files resolve sequelize
+    const root = fs.mkdtempSync(path.join(__dirname, ".registry-"));
+    fs.mkdirSync(path.join(root, "blueprints"));
+    fs.writeFileSync(
+      path.join(root, "blueprints", "countries.js"),
+      `const { DataTypes } = require("sequelize");
+
+module.exports = [
+  "countries",
+  { code: { type: DataTypes.STRING, primaryKey: true } },
+  { tableName: "countries", timestamps: false },
+];
+`
+    );
+
+    try {
+      const booted = Sequerizer.boot({ connection: memory(), root });
+      expect(Object.keys(booted.models)).toEqual(["Countries"]);
+      await booted.close();
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,125 @@
+const { harness } = require("../jest.setup");
+const { Sequerizer, ModelError } = require("../lib/Sequerizer");
+const {
+  TestHarness,
+  Factory,
+  defineFactory,
+  connectionOptions,
+} = require("../testing");
+
+const Users = harness.model("users");
+const Posts = harness.model("posts");
+
+describe("Testing harness", () => {
+  beforeAll(async () => {
+    await harness.truncate();
+  });
+
+  it("should read the connection from the environment", () => {
+    expect(connectionOptions({})).toEqual({
+      dialect: "sqlite",
+      storage: ":memory:",
+    });
+    expect(
+      connectionOptions({
+        SEQUERIZER_TEST_DIALECT: "postgres",
+        SEQUERIZER_TEST_DATABASE: "app_test",
+      })
+    ).toEqual({
+      dialect: "postgres",
+      host: "127.0.0.1",
+      port: 5432,
+      database: "app_test",
+      username: "postgres",
+      password: "",
+    });
+    expect(
+      connectionOptions({ SEQUERIZER_TEST_URL: "mysql://root@db/app" })
+    ).toEqual({ url: "mysql://root@db/app" });
+    expect(() =>
+      connectionOptions({ SEQUERIZER_TEST_DIALECT: "oracle" })
+    ).toThrow(ModelError);
+  });
+
+  it("should wrap every blueprint in a Sequerizer", () => {
+    expect(Users).toBeInstanceOf(Sequerizer);
+    expect(Users.table.tableName).toBe("users");
+    expect(() => harness.model("comments")).toThrow(
+      "Unknown blueprint comments, defined: users, posts"
+    );
+    expect(() => new TestHarness({ blueprints: [] })).toThrow(ModelError);
+  });
+
+  it(
+    "should roll back the queries of an isolated test",
+    harness.isolated(async (transaction) => {
+      expect(transaction).toBeDefined();
+      await Users.create({
+        name: "Isolated",
+        phone: "8880001",
+        password: "password",
+      });
+      expect(await Users.where({ phone: "8880001" }).exists()).toBe(true);
+    })
+  );
+
+  it("should not keep the rows of the isolated test", async () => {
+    expect(await Users.where({ phone: "8880001" }).exists()).toBe(false);
+  });
+
+  it("should rethrow the errors of an isolated test", async () => {
+    const failing = harness.isolated(async () => {
+      await Users.create({
+        name: "Failing",
+        phone: "8880002",
+        password: "password",
+      });
+      throw new Error("assertion failed");
+    });
+
+    await expect(failing()).rejects.toThrow("assertion failed");
+    expect(await Users.where({ phone: "8880002" }).exists()).toBe(false);
+  });
+
+  it("should insert fixtures in order", async () => {
+    const { users, posts } = await harness.fixtures({
+      users: [
+        { name: "Fixture 1", phone: "8880003", password: "password" },
+        { name: "Fixture 2", phone: "8880004", password: "password" },
+      ],
+      posts: { user_id: 1, title: "Fixture post" },
+    });
+
+    expect(users).toHaveLength(2);
+    expect(users[0].name).toBe("Fixture 1");
+    expect(posts.title).toBe("Fixture post");
+    expect(await Posts.count()).toBe(1);
+  });
+
+  it(
+    "should define factories of the blueprint models",
+    harness.isolated(async () => {
+      const users = harness.factory("users", ({ sequence }) => ({
+        name: `Factory ${sequence}`,
+        phone: `88810${sequence}`,
+        password: "password",
+      }));
+
+      expect(users).toBeInstanceOf(Factory);
+      expect(users.sequerizer).toBe(Users);
+      const created = await users.createMany(2);
+      expect(created.map((user) => user.name)).toEqual([
+        "Factory 1",
+        "Factory 2",
+      ]);
+      expect(defineFactory(Posts, () => ({})).sequerizer).toBe(Posts);
+      expect(() => harness.factory("comments", () => ({}))).toThrow(ModelError);
+    })
+  );
+
+  it("should truncate the given blueprints", async () => {
+    await harness.truncate("posts");
+    expect(await Posts.count()).toBe(0);
+    expect(await Users.count()).toBe(2);
+  });
+});